@@ -29,8 +29,8 @@ const app = express();
 // MIDDLEWARE
 // ============================================================================
 
-// Parse JSON request bodies
-app.use(express.json());
+// Parse JSON request bodies (large enough for supplied HTML/CSS)
+app.use(express.json({ limit: config.bodyLimit }));
 
 // Parse URL-encoded form data
 app.use(express.urlencoded({ extended: true }));
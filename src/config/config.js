@@ -36,10 +36,24 @@ const config = {
     ],
   },
 
+  // Largest accepted request body (generation from supplied HTML/CSS posts whole pages)
+  bodyLimit: process.env.BODY_LIMIT || '12mb',
+
   // User Agent string
   userAgent: process.env.USER_AGENT || 
     'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/135.0.0.0 Safari/537.36',
 
+  // Visual regression check (critical-only render vs full render)
+  visualRegression: {
+    // Pixel difference, in percent of the viewport, above which a template is flagged
+    threshold: parseFloat(process.env.VISUAL_DIFF_THRESHOLD) || 5,
+    // Where diff images are written
+    diffDir: process.env.VISUAL_DIFF_DIR || 'storage/visual-diffs',
+  },
+
+  // Key for secrets stored in MongoDB (e.g. storefront passwords); any string, hashed to 256 bits
+  secretKey: process.env.SETTINGS_SECRET_KEY || null,
+
   // Environment
   env: process.env.NODE_ENV || 'development',
   isDevelopment: process.env.NODE_ENV !== 'production',
@@ -0,0 +1,74 @@
+// src/config/devicePresets.js
+
+/**
+ * Named device profiles for page emulation
+ *
+ * Each preset fixes the viewport and everything a storefront uses to pick its
+ * markup: user agent, touch support, mobile flag and device scale factor.
+ * Request viewports select one with `{ preset: "iphone-14" }` (or just the
+ * name) and may override any field.
+ */
+
+const UA = {
+  iosSafari: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+  ipadSafari: 'Mozilla/5.0 (iPad; CPU OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+  androidChrome: 'Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/135.0.0.0 Mobile Safari/537.36',
+  samsungChrome: 'Mozilla/5.0 (Linux; Android 13; SM-G981B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/135.0.0.0 Mobile Safari/537.36',
+  androidTablet: 'Mozilla/5.0 (Linux; Android 13; SM-X710) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/135.0.0.0 Safari/537.36',
+  windowsChrome: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/135.0.0.0 Safari/537.36',
+  macSafari: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15'
+};
+
+const DEVICE_PRESETS = {
+  'iphone-se': {
+    width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true,
+    userAgent: UA.iosSafari, device: 'mobile'
+  },
+  'iphone-14': {
+    width: 390, height: 844, deviceScaleFactor: 3, isMobile: true, hasTouch: true,
+    userAgent: UA.iosSafari, device: 'mobile'
+  },
+  'iphone-14-pro-max': {
+    width: 430, height: 932, deviceScaleFactor: 3, isMobile: true, hasTouch: true,
+    userAgent: UA.iosSafari, device: 'mobile'
+  },
+  'pixel-7': {
+    width: 412, height: 915, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true,
+    userAgent: UA.androidChrome, device: 'mobile'
+  },
+  'galaxy-s20': {
+    width: 360, height: 800, deviceScaleFactor: 3, isMobile: true, hasTouch: true,
+    userAgent: UA.samsungChrome, device: 'mobile'
+  },
+  'ipad-air': {
+    width: 820, height: 1180, deviceScaleFactor: 2, isMobile: true, hasTouch: true,
+    userAgent: UA.ipadSafari, device: 'tablet'
+  },
+  'galaxy-tab-s8': {
+    width: 800, height: 1280, deviceScaleFactor: 2, isMobile: true, hasTouch: true,
+    userAgent: UA.androidTablet, device: 'tablet'
+  },
+  'laptop': {
+    width: 1366, height: 768, deviceScaleFactor: 1, isMobile: false, hasTouch: false,
+    userAgent: UA.windowsChrome, device: 'desktop'
+  },
+  'macbook-air': {
+    width: 1440, height: 900, deviceScaleFactor: 2, isMobile: false, hasTouch: false,
+    userAgent: UA.macSafari, device: 'desktop'
+  },
+  'desktop-hd': {
+    width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false, hasTouch: false,
+    userAgent: UA.windowsChrome, device: 'desktop'
+  }
+};
+
+/**
+ * User agent for a viewport that names no preset and sets no userAgent
+ * Desktop viewports use the configured USER_AGENT instead.
+ */
+export const DEFAULT_MOBILE_USER_AGENTS = {
+  mobile: UA.androidChrome,
+  tablet: UA.ipadSafari
+};
+
+export default DEVICE_PRESETS;
@@ -1,12 +1,18 @@
 // src/controllers/CriticalCssController.js
 import CriticalCssModel from '../models/CriticalCssModel.js';
-import CSSProcessor from '../services/CSSProcessor.js';
 import ScreenshotService from '../services/ScreenshotService.js';
 import config from '../config/config.js';
 import LoggerService from '../logs/Logger.js';
-import BunnyCDNService from '../services/BunnyCDNService.js';
+import GenerationSettings from '../services/GenerationSettings.js';
+import ExtractionEngines from '../services/ExtractionEngines.js';
+import SampleCombiner from '../services/SampleCombiner.js';
+import MediaEmulation from '../services/MediaEmulation.js';
+import HtmlInliner from '../services/HtmlInliner.js';
+import VisualRegression from '../services/VisualRegression.js';
+import StyleValidator from '../services/StyleValidator.js';
+import CriticalCssStore from '../services/CriticalCssStore.js';
+import DEVICE_PRESETS from '../config/devicePresets.js';
 
-const cssProcessor = new CSSProcessor();
 const screenshotService = new ScreenshotService();
 const logger = LoggerService.child({ service: 'CriticalCssController' });
 
@@ -35,6 +41,7 @@ function isValidShopDomain(shop) {
  * - Simple: "product", "collection", "index"
  * - Custom: "product.custom", "collection.summer"
  * - With extension: "product.custom.json" (Shopify 2.0 JSON templates)
+ * - In a subdirectory: "customers/account" (template.directory + "/" + template.name)
  */
 function isValidTemplate(template) {
   if (!template || typeof template !== 'string') {
@@ -43,115 +50,206 @@ function isValidTemplate(template) {
   
   // Allow alphanumeric, hyphens, underscores, dots
   // Support optional .json extension for Shopify 2.0 templates
-  // Examples: "product", "product.custom", "product.custom.json"
-  return /^[a-zA-Z0-9-_.]+(?:\.json)?$/.test(template) && 
+  // Support an optional directory prefix (customers/)
+  // Examples: "product", "product.custom", "product.custom.json", "customers/account"
+  return /^(?:[a-zA-Z0-9-_]+\/)?[a-zA-Z0-9-_.]+(?:\.json)?$/.test(template) && 
          template.length >= 2 && 
          template.length <= 100; // Increased to accommodate longer template names with extensions
 }
 
 /**
- * Helper function to handle CSS generation results and save to database
- * Reduces duplication between generate and regenerate endpoints
- * 
- * @param {Object} result - Result from generateCriticalCSS service
- * @param {string} shop - Shop domain
- * @param {string} template - Template name
- * @param {string} url - URL used for generation
- * @param {Object|null} existing - Existing record (for regeneration fallback)
- * @returns {Object} Saved record or null on failure
+ * Viewport list validation helper
+ * Each entry: a device preset name, or
+ * { preset?, width, height, deviceScaleFactor?, isMobile?, hasTouch?, userAgent?, mediaQuery?, device? }
+ * (width/height may be omitted when a preset supplies them)
+ *
+ * @param {*} viewports - Value from the request body
+ * @returns {string|null} Error message, or null when valid (or not supplied)
  */
-async function saveGeneratedCss(result, shop, template, url, existing = null) {
-  const {
-    css = '',
-    error: generationError = null,
-    metadata = {},
-    success: topSuccess,
-  } = result;
-  const success = topSuccess === true || metadata?.success === true;
-  const partial = Boolean(metadata?.partial);
-
-  if (!success || !css) {
-    logger.error(`CSS generation failed for ${shop}/${template}`, {
-      error: generationError || metadata.error || 'Unknown failure',
-      url,
-    });
+function validateViewports(viewports) {
+  if (viewports === undefined) return null;
 
-    if (existing) {
-      await CriticalCssModel.upsertCriticalCss({
-        shop,
-        template,
-        url,
-        critical_css: existing.critical_css,
-        metadata: {
-          ...existing.metadata,
-          lastAttemptAt: new Date().toISOString(),
-          error: generationError || metadata.error || 'Critical CSS generation failed',
-        },
-      });
+  if (!Array.isArray(viewports) || viewports.length === 0 || viewports.length > 6) {
+    return 'viewports must be a non-empty array of at most 6 entries';
+  }
+
+  const presets = Object.keys(DEVICE_PRESETS);
+
+  for (const [i, entry] of viewports.entries()) {
+    const vp = typeof entry === 'string' ? { preset: entry } : entry;
+
+    if (!vp || typeof vp !== 'object') {
+      return `viewports[${i}] must be a device preset name or an object`;
+    }
+    if (vp.preset !== undefined && !presets.includes(vp.preset)) {
+      return `viewports[${i}].preset must be one of: ${presets.join(', ')}`;
     }
+    if ((vp.width !== undefined || !vp.preset) &&
+        (!Number.isInteger(vp.width) || vp.width < 200 || vp.width > 3840)) {
+      return `viewports[${i}].width must be an integer between 200 and 3840`;
+    }
+    if ((vp.height !== undefined || !vp.preset) &&
+        (!Number.isInteger(vp.height) || vp.height < 200 || vp.height > 4320)) {
+      return `viewports[${i}].height must be an integer between 200 and 4320`;
+    }
+    if (vp.deviceScaleFactor !== undefined &&
+        (typeof vp.deviceScaleFactor !== 'number' || vp.deviceScaleFactor < 1 || vp.deviceScaleFactor > 4)) {
+      return `viewports[${i}].deviceScaleFactor must be a number between 1 and 4`;
+    }
+    if (vp.isMobile !== undefined && typeof vp.isMobile !== 'boolean') {
+      return `viewports[${i}].isMobile must be a boolean`;
+    }
+    if (vp.hasTouch !== undefined && typeof vp.hasTouch !== 'boolean') {
+      return `viewports[${i}].hasTouch must be a boolean`;
+    }
+    if (vp.userAgent !== undefined &&
+        (typeof vp.userAgent !== 'string' || !vp.userAgent.trim() || vp.userAgent.length > 500)) {
+      return `viewports[${i}].userAgent must be a non-empty string of at most 500 characters`;
+    }
+    if (vp.mediaQuery !== undefined && vp.mediaQuery !== null &&
+        (typeof vp.mediaQuery !== 'string' || /[{}]/.test(vp.mediaQuery))) {
+      return `viewports[${i}].mediaQuery must be a media query string or null`;
+    }
+    if (vp.device !== undefined && !DEVICES.includes(vp.device)) {
+      return `viewports[${i}].device must be one of: ${DEVICES.join(', ')}`;
+    }
+  }
 
-    return null;
+  return null;
+}
+
+/**
+ * Byte budget validation helper
+ * Allows undefined (use stored settings) and null (no budget for this request)
+ */
+function isValidMaxBytes(maxBytes) {
+  return maxBytes === undefined || maxBytes === null ||
+    (Number.isInteger(maxBytes) && maxBytes >= 1024 && maxBytes <= 1024 * 1024);
+}
+
+/**
+ * Upper bound for supplied HTML and for supplied stylesheets (each total)
+ */
+const MAX_CONTENT_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Supplied content validation helper (generation without a live URL)
+ *
+ * @param {*} html - Raw HTML from the request body
+ * @param {*} css - Stylesheet contents: a string or an array of strings (optional)
+ * @param {*} baseUrl - URL relative references resolve against (optional)
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateContent(html, css, baseUrl) {
+  if (typeof html !== 'string' || !html.trim()) {
+    return 'html must be a non-empty string';
+  }
+  if (Buffer.byteLength(html, 'utf8') > MAX_CONTENT_BYTES) {
+    return `html must be at most ${MAX_CONTENT_BYTES} bytes`;
   }
 
- logger.debug(`Generated ${css.length} bytes of CSS for ${shop}/${template}`);
+  if (css !== undefined && css !== null) {
+    const sheets = Array.isArray(css) ? css : [css];
+    if (sheets.length > 50 || !sheets.every(sheet => typeof sheet === 'string')) {
+      return 'css must be a string or an array of at most 50 strings';
+    }
+    if (sheets.reduce((total, sheet) => total + Buffer.byteLength(sheet, 'utf8'), 0) > MAX_CONTENT_BYTES) {
+      return `css must be at most ${MAX_CONTENT_BYTES} bytes in total`;
+    }
+  }
 
-  // Upload to Bunny CDN
-  let cdnUrl = null;
-  try {
-    cdnUrl = await BunnyCDNService.uploadCSS(shop, template, css);
-    logger.info(`✅ Uploaded to Bunny CDN: ${cdnUrl}`, { shop, template });
-  } catch (cdnError) {
-    logger.warn(`⚠️ Failed to upload to Bunny CDN, continuing anyway`, {
-      shop,
-      template,
-      error: cdnError.message
-    });
+  if (baseUrl !== undefined && baseUrl !== null && !isValidUrl(baseUrl)) {
+    return 'baseUrl must be a valid http/https URL';
   }
 
-  const saved = await CriticalCssModel.upsertCriticalCss({
-    shop,
-    template,
-    url,
-    critical_css: css,
-    cdn_url: cdnUrl,
-    metadata: {
-      ...metadata,
-      size: Buffer.byteLength(css, 'utf8'),
-      generatedAt: new Date().toISOString(),
-      error: null,
-      lastAttemptAt: new Date().toISOString(),
-    },
-  });
-
-  logger.info(`Successfully saved critical CSS for ${shop}/${template}`);
-  return saved;
+  return null;
+}
+
+/**
+ * Device classes critical CSS variants are stored for
+ */
+const DEVICES = ['mobile', 'tablet', 'desktop'];
+
+/**
+ * Classify a User-Agent header into a device class
+ * Tablets are checked first since most tablet UAs also match mobile patterns
+ *
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {string} 'mobile' | 'tablet' | 'desktop'
+ */
+function getDeviceFromUserAgent(userAgent = '') {
+  if (/iPad|Tablet|PlayBook|Silk|Kindle|Android(?!.*Mobile)/i.test(userAgent)) {
+    return 'tablet';
+  }
+  if (/Mobi|iPhone|iPod|Android|BlackBerry|IEMobile|Opera Mini/i.test(userAgent)) {
+    return 'mobile';
+  }
+  return 'desktop';
 }
 
 /**
  * Generate Critical CSS for a shop/template combination
  * POST /critical-css/generate
- * Body: { shop, template, url }
+ * Body: { shop, template, url, viewports?, aboveFold?, foldMargin?, minify?, keepProtocolRelativeUrls?, maxBytes?, readiness?, engine?, emulateMedia? }
+ *
+ * `urls` (with `sampleStrategy?` and `sampleThreshold?`) combines several sample
+ * pages of the template instead of one `url`.
+ *
+ * Instead of `url`, the body may carry `html` with optional `css` and `baseUrl`
+ * (e.g. an unpublished theme preview). That result is returned, not stored.
  */
 async function generateCriticalCss(req, res) {
   try {
-    const { shop, template, url } = req.body;
+    const {
+      shop, template, url, viewports, aboveFold, foldMargin, minify, keepProtocolRelativeUrls, maxBytes, readiness, engine,
+      html, css: suppliedCss, baseUrl, urls, sampleStrategy, sampleThreshold, emulateMedia
+    } = req.body;
+    const fromHtml = html !== undefined;
+    const sampled = urls !== undefined && urls !== null;
 
     // Validate required fields
-    if (!shop || !template || !url) {
+    if (!shop || !template || (!url && !sampled && !fromHtml)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Missing required fields: shop, template, url (or urls, or html)'
+      });
+    }
+
+    if (fromHtml && (url || sampled)) {
       return res.status(400).json({
         ok: false,
-        error: 'Missing required fields: shop, template, url'
+        error: 'Provide either url/urls or html, not both'
       });
     }
 
-    // Validate URL format
-    if (!isValidUrl(url)) {
+    // Validate URL format, or the supplied content
+    if (fromHtml) {
+      const contentError = validateContent(html, suppliedCss, baseUrl);
+      if (contentError) {
+        return res.status(400).json({
+          ok: false,
+          error: contentError
+        });
+      }
+    } else if (url && !isValidUrl(url)) {
       return res.status(400).json({
         ok: false,
         error: 'Invalid URL format. Must be a valid http/https URL'
       });
     }
 
+    const samplingError = SampleCombiner.validate(urls, sampleStrategy, sampleThreshold);
+    if (samplingError) {
+      return res.status(400).json({
+        ok: false,
+        error: samplingError
+      });
+    }
+
+    // `url`, when also given, is the first sample; the record is keyed by it
+    const sampleUrls = sampled ? [...new Set([...(url ? [url] : []), ...urls])] : null;
+    const pageUrl = url || sampleUrls?.[0];
+
     // Validate shop domain
     if (!isValidShopDomain(shop)) {
       return res.status(400).json({
@@ -164,15 +262,67 @@ async function generateCriticalCss(req, res) {
     if (!isValidTemplate(template)) {
       return res.status(400).json({
         ok: false,
-        error: 'Invalid template name. Must be 2-100 chars. Allowed: alphanumeric, -, _, ., and optional .json'
+        error: 'Invalid template name. Must be 2-100 chars. Allowed: alphanumeric, -, _, ., an optional directory/ prefix and optional .json'
       });
     }
 
-    logger.info(`🚀 Starting Critical CSS for ${shop}/${template}`, { url });
+    // Validate viewports
+    const viewportError = validateViewports(viewports);
+    if (viewportError) {
+      return res.status(400).json({
+        ok: false,
+        error: viewportError
+      });
+    }
 
-    const result = await cssProcessor.generateCriticalCSS({ url, shop, template });
+    // Validate byte budget
+    if (!isValidMaxBytes(maxBytes)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'maxBytes must be an integer between 1024 and 1048576, or null for no budget'
+      });
+    }
 
-    const { css, metadata, error } = result;
+    const readinessError = GenerationSettings.validateReadiness(readiness);
+    if (readinessError) {
+      return res.status(400).json({
+        ok: false,
+        error: readinessError
+      });
+    }
+
+    const engineError = ExtractionEngines.validate(engine);
+    if (engineError) {
+      return res.status(400).json({
+        ok: false,
+        error: engineError
+      });
+    }
+
+    const emulateMediaError = MediaEmulation.validate(emulateMedia);
+    if (emulateMediaError) {
+      return res.status(400).json({
+        ok: false,
+        error: emulateMediaError
+      });
+    }
+
+    logger.info(`🚀 Starting Critical CSS for ${shop}/${template}`, fromHtml ? { html: true, baseUrl } : { url: pageUrl, samples: sampleUrls?.length });
+
+    const settings = await GenerationSettings.resolve(shop, template);
+
+    const result = await ExtractionEngines.generateCriticalCSS({
+      ...settings,
+      ...(fromHtml ? { html, css: suppliedCss, baseUrl } : { url: pageUrl }),
+      ...(sampleUrls && { urls: sampleUrls, sampleStrategy, sampleThreshold }),
+      shop, template, viewports, aboveFold, foldMargin, minify, keepProtocolRelativeUrls,
+      maxBytes: maxBytes !== undefined ? maxBytes : settings.maxBytes,
+      readiness: { ...settings.readiness, ...readiness },
+      engine: engine || settings.engine,
+      emulateMedia: emulateMedia ?? settings.emulateMedia
+    });
+
+    const { css, metadata, error, errorCode } = result;
 
     logger.info(`Viewport Status`, {
       successfulViewports: metadata?.successfulViewports,
@@ -182,11 +332,21 @@ async function generateCriticalCss(req, res) {
     // No CSS produced
     if (!css || !css.trim()) {
       logger.warn(`❌ Critical CSS empty`, {
-        url,
+        url: pageUrl,
         successfulViewports: metadata?.successfulViewports,
         failedViewports: metadata?.failedViewports
       });
 
+      // Locked storefronts need a settings change before retrying
+      if (errorCode) {
+        return res.status(422).json({
+          ok: false,
+          code: errorCode,
+          error,
+          ...metadata
+        });
+      }
+
       return res.status(200).json({
         ok: false,
         error: error || 'No critical CSS generated',
@@ -194,15 +354,34 @@ async function generateCriticalCss(req, res) {
       });
     }
 
+    // Previews are returned, never stored: the template's live CSS stays in place
+    if (fromHtml) {
+      logger.info(`✅ Critical CSS generated from supplied HTML`, {
+        shop,
+        template,
+        duration: metadata.duration,
+        size: metadata.size
+      });
+
+      return res.status(200).json({
+        ok: true,
+        ...(metadata.partial && { partial: true }),
+        css,
+        nonCriticalCss: result.nonCriticalCss || null,
+        ...metadata,
+        message: 'Critical CSS generated from supplied HTML (not stored)'
+      });
+    }
+
     // Partial success
     if (metadata.partial) {
       logger.warn(`⚠️ Partial CSS generated`, {
-        url,
+        url: pageUrl,
         successfulViewports: metadata.successfulViewports,
         failedViewports: metadata.failedViewports
       });
 
-      await saveGeneratedCss(result, shop, template, url);
+      await CriticalCssStore.save(result, shop, template, pageUrl);
 
       return res.status(200).json({
         ok: true,
@@ -215,12 +394,13 @@ async function generateCriticalCss(req, res) {
 
     // Full success
     logger.info(`✅ Critical CSS fully generated`, {
-      url,
+      url: pageUrl,
+      ...(sampleUrls && { samples: sampleUrls.length }),
       duration: metadata.duration,
       size: metadata.size
     });
 
-    await saveGeneratedCss(result, shop, template, url);
+    await CriticalCssStore.save(result, shop, template, pageUrl);
 
     return res.status(200).json({
       ok: true,
@@ -243,6 +423,11 @@ async function generateCriticalCss(req, res) {
 /**
  * Get Critical CSS for a shop/template
  * GET /critical-css/:shop/:template
+ * Query: device=mobile|tablet|desktop|auto (optional, auto = detect from User-Agent)
+ * 
+ * Without `device` the combined CSS for all viewports is returned. With it, the
+ * matching per-device variant is returned, falling back to the combined CSS when
+ * that device has no variant (data.device is then 'all').
  * 
  * FRONTEND NOTE: Disabled state is NOT an error!
  * Check response structure:
@@ -253,6 +438,14 @@ async function generateCriticalCss(req, res) {
 async function getCriticalCss(req, res) {
   try {
     const { shop, template } = req.params;
+    const { device: requestedDevice } = req.query;
+
+    if (requestedDevice !== undefined && requestedDevice !== 'auto' && !DEVICES.includes(requestedDevice)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Invalid device. Must be one of: ${DEVICES.join(', ')}, auto`
+      });
+    }
 
     // Fetch from database
     const record = await CriticalCssModel.findByShopAndTemplate(shop, template);
@@ -280,12 +473,30 @@ async function getCriticalCss(req, res) {
       });
     }
 
-    // Enabled - return CSS
+    // Enabled - return the combined CSS or the requested device variant
+    let css = record.critical_css;
+    let device = 'all';
+
+    if (requestedDevice) {
+      const wanted = requestedDevice === 'auto'
+        ? getDeviceFromUserAgent(req.get('User-Agent'))
+        : requestedDevice;
+      const variant = (record.variants || []).find(v => v.device === wanted && v.css);
+
+      if (variant) {
+        css = variant.css;
+        device = variant.device;
+      }
+    }
+
     return res.status(200).json({
       ok: true,
       enabled: true,
       data: {
-        css: record.critical_css,
+        css,
+        device,
+        cdnUrl: record.cdn_url || null,
+        nonCriticalCdnUrl: record.non_critical_cdn_url || null,
         metadata: record.metadata,
         shop: record.shop,
         template: record.template
@@ -343,6 +554,9 @@ async function disableCriticalCss(req, res) {
 /**
  * Regenerate Critical CSS for a shop/template
  * POST /critical-css/:shop/:template/regenerate
+ *
+ * Templates generated from several samples are regenerated from the same
+ * samples and strategy unless the body overrides them.
  */
 async function regenerateCriticalCss(req, res) {
   try {
@@ -357,12 +571,82 @@ async function regenerateCriticalCss(req, res) {
       });
     }
 
-    const result = await cssProcessor.generateCriticalCSS({ url: existing.url, shop, template });
-    const updated = await saveGeneratedCss(result, shop, template, existing.url, existing);
+    const {
+      viewports, aboveFold, foldMargin, minify, keepProtocolRelativeUrls, maxBytes, readiness, engine,
+      urls, sampleStrategy, sampleThreshold, emulateMedia
+    } = req.body || {};
+
+    const viewportError = validateViewports(viewports);
+    if (viewportError) {
+      return res.status(400).json({
+        ok: false,
+        error: viewportError
+      });
+    }
+
+    if (!isValidMaxBytes(maxBytes)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'maxBytes must be an integer between 1024 and 1048576, or null for no budget'
+      });
+    }
+
+    const readinessError = GenerationSettings.validateReadiness(readiness);
+    if (readinessError) {
+      return res.status(400).json({
+        ok: false,
+        error: readinessError
+      });
+    }
+
+    const engineError = ExtractionEngines.validate(engine);
+    if (engineError) {
+      return res.status(400).json({
+        ok: false,
+        error: engineError
+      });
+    }
+
+    const emulateMediaError = MediaEmulation.validate(emulateMedia);
+    if (emulateMediaError) {
+      return res.status(400).json({
+        ok: false,
+        error: emulateMediaError
+      });
+    }
+
+    const samplingError = SampleCombiner.validate(urls, sampleStrategy, sampleThreshold);
+    if (samplingError) {
+      return res.status(400).json({
+        ok: false,
+        error: samplingError
+      });
+    }
+
+    const sampling = existing.sampling?.urls?.length ? existing.sampling : null;
+    const sampleUrls = urls || sampling?.urls || null;
+
+    const settings = await GenerationSettings.resolve(shop, template);
+
+    const result = await ExtractionEngines.generateCriticalCSS({
+      ...settings,
+      ...(sampleUrls && {
+        urls: sampleUrls,
+        sampleStrategy: sampleStrategy ?? sampling?.strategy,
+        sampleThreshold: sampleThreshold ?? sampling?.threshold ?? undefined
+      }),
+      url: sampleUrls ? sampleUrls[0] : existing.url, shop, template, viewports, aboveFold, foldMargin, minify, keepProtocolRelativeUrls,
+      maxBytes: maxBytes !== undefined ? maxBytes : settings.maxBytes,
+      readiness: { ...settings.readiness, ...readiness },
+      engine: engine || settings.engine,
+      emulateMedia: emulateMedia ?? settings.emulateMedia
+    });
+    const updated = await CriticalCssStore.save(result, shop, template, sampleUrls ? sampleUrls[0] : existing.url, existing);
 
     if (!updated) {
       return res.status(422).json({
         ok: false,
+        ...(result.errorCode && { code: result.errorCode }),
         error: result.error || result.metadata?.error || 'Failed to regenerate critical CSS'
       });
     }
@@ -425,6 +709,195 @@ async function getCriticalCssMetadata(req, res) {
   }
 }
 
+/**
+ * Visual regression check for a shop/template
+ * POST /critical-css/:shop/:template/visual-check
+ * Body (optional): { viewport?, threshold? }
+ *
+ * Renders the stored page's first viewport with only the critical CSS and with
+ * the full page, stores the pixel-diff score and diff image path in
+ * metadata.visualRegression and flags the record when the score exceeds the
+ * threshold (percent of pixels, default VISUAL_DIFF_THRESHOLD).
+ */
+async function runVisualCheck(req, res) {
+  try {
+    const { shop, template } = req.params;
+    const { viewport, threshold } = req.body || {};
+
+    const viewportError = validateViewports(viewport === undefined ? undefined : [viewport]);
+    if (viewportError) {
+      return res.status(400).json({
+        ok: false,
+        error: viewportError.replace('viewports[0]', 'viewport')
+      });
+    }
+
+    if (threshold !== undefined && (!Number.isFinite(threshold) || threshold < 0 || threshold > 100)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'threshold must be a percentage between 0 and 100'
+      });
+    }
+
+    const record = await CriticalCssModel.findByShopAndTemplate(shop, template);
+    if (!record || !record.critical_css) {
+      return res.status(404).json({
+        ok: false,
+        error: `No critical CSS found for shop: ${shop}, template: ${template}`
+      });
+    }
+
+    const settings = await GenerationSettings.resolve(shop, template);
+
+    const result = await VisualRegression.check({
+      shop,
+      template,
+      url: record.url,
+      css: record.critical_css,
+      viewport,
+      threshold,
+      requestBlocking: settings.requestBlocking,
+      overlays: settings.overlays,
+      storefrontPassword: settings.storefrontPassword
+    });
+
+    const updated = await CriticalCssModel.setVisualRegression(shop, template, result);
+
+    if (!result.success) {
+      return res.status(422).json({
+        ok: false,
+        error: result.error,
+        data: { shop, template, visualRegression: updated?.metadata?.visualRegression || result }
+      });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      data: { shop, template, url: record.url, visualRegression: updated?.metadata?.visualRegression || result }
+    });
+
+  } catch (error) {
+    logger.error('Error in runVisualCheck:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Computed-style validation for a shop/template
+ * GET /critical-css/:shop/:template/validate
+ * Query (optional): viewport=<device preset> or width=&height=
+ *
+ * Compares the computed styles of above-the-fold elements between a render
+ * with only the stored critical CSS and the full page, and reports the
+ * mismatching elements, properties and the selectors missing from the
+ * critical CSS. Nothing is stored.
+ */
+async function validateCriticalCss(req, res) {
+  try {
+    const { shop, template } = req.params;
+    const { viewport: preset, width, height } = req.query;
+
+    let viewport;
+    if (preset !== undefined) {
+      viewport = preset;
+    } else if (width !== undefined || height !== undefined) {
+      viewport = { width: Number(width), height: Number(height) };
+    }
+
+    const viewportError = validateViewports(viewport === undefined ? undefined : [viewport]);
+    if (viewportError) {
+      return res.status(400).json({
+        ok: false,
+        error: viewportError.replace('viewports[0]', 'viewport')
+      });
+    }
+
+    const record = await CriticalCssModel.findByShopAndTemplate(shop, template);
+    if (!record || !record.critical_css) {
+      return res.status(404).json({
+        ok: false,
+        error: `No critical CSS found for shop: ${shop}, template: ${template}`
+      });
+    }
+
+    const settings = await GenerationSettings.resolve(shop, template);
+
+    const report = await StyleValidator.validate({
+      url: record.url,
+      css: record.critical_css,
+      viewport,
+      requestBlocking: settings.requestBlocking,
+      overlays: settings.overlays,
+      storefrontPassword: settings.storefrontPassword
+    });
+
+    if (!report.success) {
+      return res.status(422).json({
+        ok: false,
+        error: report.error || 'Computed style validation failed'
+      });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      data: {
+        shop,
+        template,
+        url: record.url,
+        valid: report.elementsMismatched === 0,
+        ...report
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in validateCriticalCss:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Templates flagged by the visual regression check
+ * GET /critical-css/:shop/flagged
+ */
+async function getFlaggedTemplates(req, res) {
+  try {
+    const { shop } = req.params;
+
+    if (!isValidShopDomain(shop)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Invalid shop domain. Must be in format: shop.myshopify.com'
+      });
+    }
+
+    const records = await CriticalCssModel.findFlaggedTemplates({ shop });
+
+    return res.status(200).json({
+      ok: true,
+      data: records.map(record => ({
+        template: record.template,
+        url: record.url,
+        enabled: record.enabled,
+        generatedAt: record.metadata?.generatedAt ?? null,
+        visualRegression: record.metadata?.visualRegression
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Error in getFlaggedTemplates:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
 /**
  * Get screenshot for a shop/template (debug only)
  * GET /critical-css/:shop/:template/screenshot
@@ -471,11 +944,115 @@ async function getCriticalCssScreenshot(req, res) {
   }
 }
 
+/**
+ * Preview a page with its stored critical CSS inlined
+ * GET /critical-css/:shop/:template/inline
+ *
+ * Fetches the stored page URL (or ?url=, which must be on the same host as the
+ * stored page or the shop domain; redirects may not leave those hosts), inlines the critical CSS (or ?device= variant)
+ * in <head> and defers the original stylesheets with the preload/onload pattern.
+ * Works for disabled templates too, so they can be checked before enabling.
+ */
+async function getInlinedHtml(req, res) {
+  try {
+    const { shop, template } = req.params;
+    const { url: requestedUrl, device: requestedDevice } = req.query;
+
+    if (requestedDevice !== undefined && requestedDevice !== 'auto' && !DEVICES.includes(requestedDevice)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Invalid device. Must be one of: ${DEVICES.join(', ')}, auto`
+      });
+    }
+
+    const record = await CriticalCssModel.findByShopAndTemplate(shop, template);
+
+    if (!record || !record.critical_css) {
+      return res.status(404).json({
+        ok: false,
+        error: `No critical CSS found for shop: ${shop}, template: ${template}`
+      });
+    }
+
+    // The page (and every redirect while fetching it) must stay on these hosts
+    const allowedHosts = [shop.toLowerCase()];
+    if (isValidUrl(record.url)) allowedHosts.push(new URL(record.url).hostname.toLowerCase());
+
+    let url = record.url;
+    if (requestedUrl !== undefined) {
+      if (!isValidUrl(requestedUrl)) {
+        return res.status(400).json({ ok: false, error: 'Invalid URL format' });
+      }
+
+      if (!allowedHosts.includes(new URL(requestedUrl).hostname.toLowerCase())) {
+        return res.status(400).json({
+          ok: false,
+          error: `url must be on ${allowedHosts.join(' or ')}`
+        });
+      }
+      url = requestedUrl;
+    }
+
+    let css = record.critical_css;
+    let device = 'all';
+
+    if (requestedDevice) {
+      const wanted = requestedDevice === 'auto'
+        ? getDeviceFromUserAgent(req.get('User-Agent'))
+        : requestedDevice;
+      const variant = (record.variants || []).find(v => v.device === wanted && v.css);
+
+      if (variant) {
+        css = variant.css;
+        device = variant.device;
+      }
+    }
+
+    logger.info(`Building inlined preview for ${shop}/${template}`, { url, device });
+
+    let page;
+    try {
+      page = await HtmlInliner.fetchPage(url, { allowedHosts });
+    } catch (fetchError) {
+      logger.warn(`Failed to fetch page for inlined preview`, { url, error: fetchError.message });
+      return res.status(502).json({
+        ok: false,
+        error: fetchError.message
+      });
+    }
+
+    const { html, deferredStylesheets, inlinedBytes } = HtmlInliner.inlineCriticalCss(page.html, css, {
+      baseUrl: page.finalUrl
+    });
+
+    res.set({
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Critical-Css-Device': device,
+      'X-Critical-Css-Bytes': String(inlinedBytes),
+      'X-Deferred-Stylesheets': String(deferredStylesheets.length)
+    });
+
+    return res.status(200).send(html);
+
+  } catch (error) {
+    logger.error('Error in getInlinedHtml:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
 export default {
   generateCriticalCss,
   getCriticalCss,
   disableCriticalCss,
   regenerateCriticalCss,
   getCriticalCssMetadata,
-  getCriticalCssScreenshot
+  getCriticalCssScreenshot,
+  getInlinedHtml,
+  runVisualCheck,
+  getFlaggedTemplates,
+  validateCriticalCss
 };
\ No newline at end of file
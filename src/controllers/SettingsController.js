@@ -0,0 +1,485 @@
+// src/controllers/SettingsController.js
+import ShopSettingsModel from '../models/ShopSettingsModel.js';
+import GenerationSettings from '../services/GenerationSettings.js';
+import ExtractionEngines from '../services/ExtractionEngines.js';
+import MediaEmulation from '../services/MediaEmulation.js';
+import SecretCipher from '../services/SecretCipher.js';
+import LoggerService from '../logs/Logger.js';
+
+const logger = LoggerService.child({ service: 'SettingsController' });
+
+/**
+ * Shop domain validation helper
+ */
+function isValidShopDomain(shop) {
+  return /^[a-z0-9-]+\.myshopify\.com$/i.test(shop);
+}
+
+/**
+ * Shop domain and template name validation helper
+ *
+ * @param {string} shop - Shop domain from the route
+ * @param {string} template - Template name from the route
+ * @returns {string|null} Error message, or null when both are valid
+ */
+function validateShopAndTemplate(shop, template) {
+  if (!isValidShopDomain(shop)) {
+    return 'Invalid shop domain. Must be in format: shop.myshopify.com';
+  }
+
+  if (!/^(?:[a-zA-Z0-9-_]+\/)?[a-zA-Z0-9-_.]+$/.test(template) || template.length < 2 || template.length > 100) {
+    return 'Invalid template name. Must be 2-100 chars. Allowed: alphanumeric, -, _, ., an optional directory/ prefix and optional .json';
+  }
+
+  return null;
+}
+
+/**
+ * Selector pattern list validation helper
+ * Patterns are plain strings (substring match) or "/regex/flags"
+ *
+ * @param {*} patterns - Value from the request body
+ * @param {string} field - Field name for error messages
+ * @returns {string|null} Error message, or null when valid (or not supplied)
+ */
+function validateSelectorPatterns(patterns, field) {
+  if (patterns === undefined) return null;
+
+  if (!Array.isArray(patterns) || patterns.length > 200) {
+    return `${field} must be an array of at most 200 patterns`;
+  }
+
+  for (const [i, pattern] of patterns.entries()) {
+    if (typeof pattern !== 'string' || !pattern.trim() || pattern.length > 500) {
+      return `${field}[${i}] must be a non-empty string of at most 500 characters`;
+    }
+
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regex) {
+      if (!/^[imsu]*$/.test(regex[2])) {
+        return `${field}[${i}] has unsupported regex flags (allowed: i, m, s, u)`;
+      }
+      try {
+        new RegExp(regex[1], regex[2]);
+      } catch (err) {
+        return `${field}[${i}] is not a valid regex: ${err.message}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Byte budget validation helper
+ *
+ * @param {*} maxBytes - Value from the request body
+ * @returns {string|null} Error message, or null when valid (null clears the budget)
+ */
+function validateMaxBytes(maxBytes) {
+  if (maxBytes === undefined || maxBytes === null) return null;
+
+  if (!Number.isInteger(maxBytes) || maxBytes < 1024 || maxBytes > 1024 * 1024) {
+    return 'maxBytes must be an integer between 1024 and 1048576, or null for no budget';
+  }
+
+  return null;
+}
+
+/**
+ * Resource types a shop may block; documents and stylesheets are needed for extraction
+ */
+const BLOCKABLE_RESOURCE_TYPES = [
+  'image', 'media', 'font', 'script', 'texttrack', 'xhr', 'fetch', 'prefetch',
+  'eventsource', 'websocket', 'manifest', 'signedexchange', 'ping', 'other'
+];
+
+/**
+ * Request blocking override validation helper
+ * Shape: { enabled?, blockDomains?, allowDomains?, resourceTypes? }
+ *
+ * @param {*} requestBlocking - Value from the request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateRequestBlocking(requestBlocking) {
+  if (!requestBlocking || typeof requestBlocking !== 'object' || Array.isArray(requestBlocking)) {
+    return 'requestBlocking must be an object: { enabled?, blockDomains?, allowDomains?, resourceTypes? }';
+  }
+
+  const { enabled, blockDomains, allowDomains, resourceTypes } = requestBlocking;
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'requestBlocking.enabled must be a boolean';
+  }
+
+  for (const [field, domains] of [['blockDomains', blockDomains], ['allowDomains', allowDomains]]) {
+    if (domains === undefined) continue;
+    if (!Array.isArray(domains) || domains.length > 200) {
+      return `requestBlocking.${field} must be an array of at most 200 domains`;
+    }
+    const invalid = domains.findIndex(domain => typeof domain !== 'string' || !/^[a-z0-9.-]+\.[a-z]{2,}$/i.test(domain.trim()));
+    if (invalid !== -1) {
+      return `requestBlocking.${field}[${invalid}] must be a host name, e.g. "widgets.example.com"`;
+    }
+  }
+
+  if (resourceTypes !== undefined && resourceTypes !== null) {
+    if (!Array.isArray(resourceTypes) || resourceTypes.some(type => !BLOCKABLE_RESOURCE_TYPES.includes(type))) {
+      return `requestBlocking.resourceTypes must be an array of: ${BLOCKABLE_RESOURCE_TYPES.join(', ')}, or null for the defaults`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Overlay dismissal validation helper
+ * Shape: { enabled?, selectors? } where selectors are CSS selectors removed before capture
+ *
+ * @param {*} overlays - Value from the request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateOverlays(overlays) {
+  if (!overlays || typeof overlays !== 'object' || Array.isArray(overlays)) {
+    return 'overlays must be an object: { enabled?, selectors? }';
+  }
+
+  if (overlays.enabled !== undefined && typeof overlays.enabled !== 'boolean') {
+    return 'overlays.enabled must be a boolean';
+  }
+
+  if (overlays.selectors !== undefined) {
+    if (!Array.isArray(overlays.selectors) || overlays.selectors.length > 100) {
+      return 'overlays.selectors must be an array of at most 100 CSS selectors';
+    }
+    const invalid = overlays.selectors.findIndex(selector =>
+      typeof selector !== 'string' || !selector.trim() || selector.length > 500 || /[{}]/.test(selector));
+    if (invalid !== -1) {
+      return `overlays.selectors[${invalid}] must be a CSS selector of at most 500 characters`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a settings body and pick the supported fields
+ *
+ * @param {Object} body - Request body
+ * @param {string} [scope='shop'] - 'shop' or 'template'; readiness is template-only,
+ *                                   requestBlocking, overlays, engine, emulateMedia and storefrontPassword shop-only
+ * @returns {Object} { settings, error }
+ */
+function parseSettingsBody(body = {}, scope = 'shop') {
+  const settings = {};
+  const supported = scope === 'template'
+    ? 'selectors, maxBytes, readiness'
+    : 'selectors, maxBytes, requestBlocking, overlays, engine, emulateMedia, storefrontPassword';
+
+  if (body.selectors !== undefined) {
+    if (!body.selectors || typeof body.selectors !== 'object') {
+      return { error: 'selectors must be an object: { include?, exclude? }' };
+    }
+
+    const error = validateSelectorPatterns(body.selectors.include, 'selectors.include') ||
+                  validateSelectorPatterns(body.selectors.exclude, 'selectors.exclude');
+    if (error) return { error };
+
+    settings.selectors = {
+      include: body.selectors.include?.map(pattern => pattern.trim()),
+      exclude: body.selectors.exclude?.map(pattern => pattern.trim())
+    };
+  }
+
+  if (body.maxBytes !== undefined) {
+    const error = validateMaxBytes(body.maxBytes);
+    if (error) return { error };
+
+    settings.maxBytes = body.maxBytes;
+  }
+
+  if (body.readiness !== undefined) {
+    if (scope !== 'template') {
+      return { error: 'readiness is a template setting. Use PUT /:shop/:template/settings' };
+    }
+
+    const error = GenerationSettings.validateReadiness(body.readiness);
+    if (error) return { error };
+
+    // Replaces the stored strategy as a whole; null clears it
+    settings.readiness = body.readiness;
+  }
+
+  if (body.requestBlocking !== undefined) {
+    if (scope !== 'shop') {
+      return { error: 'requestBlocking is a shop setting. Use PUT /:shop/settings' };
+    }
+
+    const error = validateRequestBlocking(body.requestBlocking);
+    if (error) return { error };
+
+    const { enabled, blockDomains, allowDomains, resourceTypes } = body.requestBlocking;
+    settings.requestBlocking = {
+      enabled,
+      blockDomains: blockDomains?.map(domain => domain.trim().toLowerCase()),
+      allowDomains: allowDomains?.map(domain => domain.trim().toLowerCase()),
+      resourceTypes
+    };
+  }
+
+  if (body.overlays !== undefined) {
+    if (scope !== 'shop') {
+      return { error: 'overlays is a shop setting. Use PUT /:shop/settings' };
+    }
+
+    const error = validateOverlays(body.overlays);
+    if (error) return { error };
+
+    settings.overlays = {
+      enabled: body.overlays.enabled,
+      selectors: body.overlays.selectors?.map(selector => selector.trim())
+    };
+  }
+
+  if (body.engine !== undefined) {
+    if (scope !== 'shop') {
+      return { error: 'engine is a shop setting. Use PUT /:shop/settings' };
+    }
+
+    const error = body.engine === null
+      ? 'engine must be a string'
+      : ExtractionEngines.validate(body.engine);
+    if (error) return { error };
+
+    settings.engine = ExtractionEngines.resolveName(body.engine);
+  }
+
+  if (body.emulateMedia !== undefined) {
+    if (scope !== 'shop') {
+      return { error: 'emulateMedia is a shop setting. Use PUT /:shop/settings' };
+    }
+
+    const error = body.emulateMedia === null
+      ? 'emulateMedia must be an array'
+      : MediaEmulation.validate(body.emulateMedia);
+    if (error) return { error };
+
+    settings.emulateMedia = [...new Set(body.emulateMedia)];
+  }
+
+  if (body.storefrontPassword !== undefined) {
+    if (scope !== 'shop') {
+      return { error: 'storefrontPassword is a shop setting. Use PUT /:shop/settings' };
+    }
+
+    const password = body.storefrontPassword;
+    if (password !== null && (typeof password !== 'string' || !password || password.length > 200)) {
+      return { error: 'storefrontPassword must be a non-empty string of at most 200 characters, or null to remove it' };
+    }
+
+    // Plaintext here; encrypted by the handler before it is stored
+    settings.storefrontPassword = password;
+  }
+
+  if (Object.keys(settings).length === 0) {
+    return { error: `No supported settings provided. Supported: ${supported}` };
+  }
+
+  return { settings };
+}
+
+/**
+ * Get shop-wide generation settings
+ * GET /critical-css/:shop/settings
+ */
+async function getShopSettings(req, res) {
+  try {
+    const { shop } = req.params;
+
+    if (!isValidShopDomain(shop)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Invalid shop domain. Must be in format: shop.myshopify.com'
+      });
+    }
+
+    const settings = await ShopSettingsModel.findByShop(shop);
+
+    return res.status(200).json({
+      ok: true,
+      data: {
+        shop,
+        selectors: settings?.selectors || { include: [], exclude: [] },
+        maxBytes: settings?.maxBytes ?? null,
+        requestBlocking: settings?.requestBlocking || { enabled: true, blockDomains: [], allowDomains: [] },
+        overlays: settings?.overlays || { enabled: true, selectors: [] },
+        engine: settings?.engine || 'coverage',
+        emulateMedia: settings?.emulateMedia || [],
+        hasStorefrontPassword: settings?.hasStorefrontPassword || false
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getShopSettings', { error: error.message });
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Update shop-wide generation settings
+ * PUT /critical-css/:shop/settings
+ * Body: { selectors: { include?, exclude? }, maxBytes?, requestBlocking?, overlays?, engine?, emulateMedia?, storefrontPassword? }
+ */
+async function updateShopSettings(req, res) {
+  try {
+    const { shop } = req.params;
+
+    if (!isValidShopDomain(shop)) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Invalid shop domain. Must be in format: shop.myshopify.com'
+      });
+    }
+
+    const { settings, error } = parseSettingsBody(req.body);
+    if (error) {
+      return res.status(400).json({
+        ok: false,
+        error
+      });
+    }
+
+    if (settings.storefrontPassword) {
+      settings.storefrontPassword = SecretCipher.encrypt(settings.storefrontPassword);
+    }
+
+    const updated = await ShopSettingsModel.updateSettings(shop, settings);
+
+    return res.status(200).json({
+      ok: true,
+      message: 'Shop settings updated successfully',
+      data: {
+        shop: updated.shop,
+        selectors: updated.selectors,
+        maxBytes: updated.maxBytes ?? null,
+        requestBlocking: updated.requestBlocking,
+        overlays: updated.overlays,
+        engine: updated.engine,
+        emulateMedia: updated.emulateMedia || [],
+        hasStorefrontPassword: updated.hasStorefrontPassword
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in updateShopSettings', { error: error.message });
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Get template-level generation settings
+ * GET /critical-css/:shop/:template/settings
+ *
+ * Templates without stored settings return the defaults.
+ */
+async function getTemplateSettings(req, res) {
+  try {
+    const { shop, template } = req.params;
+
+    const error = validateShopAndTemplate(shop, template);
+    if (error) {
+      return res.status(400).json({
+        ok: false,
+        error
+      });
+    }
+
+    const stored = await ShopSettingsModel.findTemplateSettings(shop, template);
+
+    return res.status(200).json({
+      ok: true,
+      data: {
+        shop,
+        template: template.toLowerCase(),
+        settings: {
+          selectors: stored?.selectors || { include: [], exclude: [] },
+          maxBytes: stored?.maxBytes ?? null,
+          readiness: stored?.readiness || {}
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getTemplateSettings', { error: error.message });
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Update template-level generation settings
+ * PUT /critical-css/:shop/:template/settings
+ * Body: { selectors: { include?, exclude? }, maxBytes?, readiness? }
+ *
+ * The template does not need to have been generated; settings apply from the
+ * next generate/regenerate.
+ */
+async function updateTemplateSettings(req, res) {
+  try {
+    const { shop, template } = req.params;
+
+    const shopError = validateShopAndTemplate(shop, template);
+    if (shopError) {
+      return res.status(400).json({
+        ok: false,
+        error: shopError
+      });
+    }
+
+    const { settings, error } = parseSettingsBody(req.body, 'template');
+    if (error) {
+      return res.status(400).json({
+        ok: false,
+        error
+      });
+    }
+
+    const updated = await ShopSettingsModel.updateTemplateSettings(shop, template, settings);
+
+    return res.status(200).json({
+      ok: true,
+      message: 'Template settings updated successfully',
+      data: {
+        shop,
+        template: updated.template,
+        settings: {
+          selectors: updated.selectors,
+          maxBytes: updated.maxBytes ?? null,
+          readiness: updated.readiness || {}
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in updateTemplateSettings', { error: error.message });
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+export default {
+  getShopSettings,
+  updateShopSettings,
+  getTemplateSettings,
+  updateTemplateSettings
+};
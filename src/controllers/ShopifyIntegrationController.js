@@ -1,21 +1,34 @@
 import getShopifyShopModel from '../models/ShopifyShopModel.js';
-import CSSProcessor from '../services/CSSProcessor.js';
-import BunnyCDNService from '../services/BunnyCDNService.js';
+import GenerationSettings from '../services/GenerationSettings.js';
+import ExtractionEngines from '../services/ExtractionEngines.js';
+import SampleCombiner from '../services/SampleCombiner.js';
+import LiquidSnippetBuilder from '../services/LiquidSnippetBuilder.js';
+import CriticalCssStore from '../services/CriticalCssStore.js';
+import CriticalCssModel from '../models/CriticalCssModel.js';
 import LoggerService from '../logs/Logger.js';
 
-const cssProcessor = new CSSProcessor();
 const logger = LoggerService.child({ service: 'ShopifyIntegration' });
 
+/**
+ * Shop domain validation helper
+ */
+function isValidShopDomain(shop) {
+  return /^[a-z0-9-]+\.myshopify\.com$/i.test(shop);
+}
+
 class ShopifyIntegrationController {
   
   /**
    * Generate critical CSS for all templates in a shop
    * POST /api/shopify/generate-all-css
-   * Body: { shop: "mystore.myshopify.com" }
+   * Body: { shop: "mystore.myshopify.com", maxSamples?: 3, sampleStrategy?: "union", sampleThreshold?: 50 }
+   *
+   * Templates whose group lists `sample_pages` are generated from up to
+   * maxSamples of them (plus `sample_page`), combined with sampleStrategy.
    */
   async generateAllCSSForShop(req, res) {
     try {
-      const { shop } = req.body;
+      const { shop, maxSamples = 3, sampleStrategy, sampleThreshold } = req.body;
 
       if (!shop) {
         return res.status(400).json({
@@ -24,6 +37,21 @@ class ShopifyIntegrationController {
         });
       }
 
+      if (!Number.isInteger(maxSamples) || maxSamples < 1 || maxSamples > 10) {
+        return res.status(400).json({
+          ok: false,
+          error: 'maxSamples must be an integer between 1 and 10'
+        });
+      }
+
+      const samplingError = SampleCombiner.validate(undefined, sampleStrategy, sampleThreshold);
+      if (samplingError) {
+        return res.status(400).json({
+          ok: false,
+          error: samplingError
+        });
+      }
+
       // Get model from secondary connection
       const ShopifyShop = getShopifyShopModel();
       
@@ -47,33 +75,45 @@ class ShopifyIntegrationController {
 
       // Process each template
       for (const [templateName, group] of templates) {
-        if (!group.sample_page) {
+        const samplePages = [group.sample_page, ...(Array.isArray(group.sample_pages) ? group.sample_pages : [])]
+          .filter(page => typeof page === 'string' && page);
+
+        if (samplePages.length === 0) {
           logger.warn(`No sample page for template ${templateName}, skipping`);
           continue;
         }
 
         try {
-          const url = group.sample_page.startsWith('http') 
-            ? group.sample_page 
-            : `https://${shop}${group.sample_page}`;
+          const urls = [...new Set(samplePages.map(page => (page.startsWith('http') ? page : `https://${shop}${page}`)))]
+            .slice(0, maxSamples);
+          const url = urls[0];
 
-          logger.info(`Generating critical CSS for ${shop}/${templateName}`);
+          logger.info(`Generating critical CSS for ${shop}/${templateName}`, { samples: urls.length });
 
-          // Generate CSS
-          const result = await cssProcessor.generateCriticalCSS({
+          // Generate CSS with the shop/template settings (and the shop's engine) applied
+          const settings = await GenerationSettings.resolve(shop, templateName);
+          const result = await ExtractionEngines.generateCriticalCSS({
+            ...settings,
             url,
+            ...(urls.length > 1 && { urls, sampleStrategy, sampleThreshold }),
             shop,
             template: templateName
           });
 
           if (!result.css) {
-            throw new Error(result.error || 'No CSS generated');
+            const generationError = new Error(result.error || 'No CSS generated');
+            generationError.code = result.errorCode;
+            throw generationError;
           }
 
-          // Upload to Bunny CDN
-          const cdnUrl = await BunnyCDNService.uploadCSS(shop, templateName, result.css);
+          // Upload to Bunny CDN and store the CSS, variants and non-critical sheet
+          const saved = await CriticalCssStore.save(result, shop, templateName, url);
+          if (!saved) {
+            throw new Error(result.error || result.metadata?.error || 'Failed to save critical CSS');
+          }
+          const cdnUrl = saved.cdn_url;
 
-          // Save to MongoDB
+          // Mirror onto the Shopify app's shop document
           if (!shopData.critical_css) {
             shopData.critical_css = new Map();
           }
@@ -90,8 +130,12 @@ class ShopifyIntegrationController {
             template: templateName,
             success: true,
             cdn_url: cdnUrl,
+            non_critical_cdn_url: saved.non_critical_cdn_url || null,
+            variants: saved.variants?.length || 0,
             size: result.metadata.size,
-            page_count: group.count
+            page_count: group.count,
+            samples: urls.length,
+            ...(result.metadata.samples && { failed_samples: result.metadata.samples.failed })
           });
 
           // Wait 2 seconds between templates to avoid overloading
@@ -104,6 +148,7 @@ class ShopifyIntegrationController {
           
           errors.push({
             template: templateName,
+            ...(error.code && { code: error.code }),
             error: error.message
           });
         }
@@ -237,6 +282,98 @@ class ShopifyIntegrationController {
       });
     }
   }
+
+  /**
+   * Export a critical-css.liquid snippet covering every template of a shop
+   * GET /api/shopify/:shop/snippet
+   * Query: mode=inline|link (default inline), format=liquid|json (default liquid)
+   *
+   * Templates come from CriticalCssModel; the ShopifyShop critical_css map fills
+   * in templates this service has no record for.
+   */
+  async getLiquidSnippet(req, res) {
+    try {
+      const { shop } = req.params;
+      const { mode = 'inline', format = 'liquid' } = req.query;
+
+      // The domain ends up in the snippet's Liquid comment
+      if (!isValidShopDomain(shop)) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Invalid shop domain. Must be in format: shop.myshopify.com'
+        });
+      }
+
+      if (!['inline', 'link'].includes(mode)) {
+        return res.status(400).json({
+          ok: false,
+          error: 'mode must be one of: inline, link'
+        });
+      }
+
+      if (!['liquid', 'json'].includes(format)) {
+        return res.status(400).json({
+          ok: false,
+          error: 'format must be one of: liquid, json'
+        });
+      }
+
+      const records = await CriticalCssModel.findByShop(shop, true, true);
+      const templates = records.map(record => ({
+        template: record.template,
+        css: record.critical_css,
+        cdnUrl: record.cdn_url,
+        nonCriticalCdnUrl: record.non_critical_cdn_url
+      }));
+
+      try {
+        const ShopifyShop = getShopifyShopModel();
+        const shopData = await ShopifyShop.findOne({ shop });
+
+        for (const [name, cssData] of shopData?.critical_css || []) {
+          if (!cssData?.enabled || templates.some(entry => entry.template === name)) continue;
+          templates.push({ template: name, css: cssData.css, cdnUrl: cssData.cdn_url });
+        }
+      } catch (shopError) {
+        logger.warn('Could not read ShopifyShop critical_css, using stored records only', {
+          shop,
+          error: shopError.message
+        });
+      }
+
+      const { snippet, templates: included } = LiquidSnippetBuilder.build(shop, templates, { mode });
+
+      if (included.length === 0) {
+        return res.status(404).json({
+          ok: false,
+          error: 'No critical CSS found for this shop'
+        });
+      }
+
+      if (format === 'json') {
+        return res.json({
+          ok: true,
+          shop,
+          filename: 'snippets/critical-css.liquid',
+          templates: included,
+          snippet
+        });
+      }
+
+      res.set({
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="critical-css.liquid"'
+      });
+      return res.send(snippet);
+
+    } catch (error) {
+      logger.error('Error in getLiquidSnippet', { error: error.message });
+      return res.status(500).json({
+        ok: false,
+        error: error.message
+      });
+    }
+  }
 }
 
 export default new ShopifyIntegrationController();
\ No newline at end of file
@@ -68,6 +68,10 @@ function normalizeResponse(data) {
       plain.metadata.lastAttemptAt = null;
     }
 
+    if (plain.metadata.visualRegression?.checkedAt instanceof Date) {
+      plain.metadata.visualRegression.checkedAt = plain.metadata.visualRegression.checkedAt.toISOString();
+    }
+
     // Convert errorHistory timestamps to ISO strings
     if (plain.metadata.errorHistory && Array.isArray(plain.metadata.errorHistory)) {
       plain.metadata.errorHistory = plain.metadata.errorHistory.map(errEntry => ({
@@ -116,19 +120,21 @@ const CriticalCssSchema = new mongoose.Schema(
           // - Custom: "product.custom", "collection.summer", "page.about-us"
           // - With extension: "product.custom.json", "product.custom.summer.json"
           // - Multi-level: "product.custom.variant.json" (future-proof for nested templates)
+          // - In a subdirectory: "customers/account", "customers/login.custom"
           // 
           // Pattern breakdown:
-          // - ^[a-zA-Z0-9_-]+ : First segment (required)
+          // - ^(?:[a-zA-Z0-9_-]+\/)? : Template directory (optional)
+          // - [a-zA-Z0-9_-]+ : First segment (required)
           // - (?:\.[a-zA-Z0-9_-]+)* : Additional segments with dots (optional, repeating)
           // - (?:\.json)? : Optional .json extension
           // 
           // Note: If Shopify reintroduces .liquid extensions, update regex to:
-          // /^[a-zA-Z0-9_-]+(?:\.[a-zA-Z0-9_-]+)*(?:\.(json|liquid))?$/
-          return /^[a-zA-Z0-9_-]+(?:\.[a-zA-Z0-9_-]+)*(?:\.json)?$/.test(v) && 
+          // /^(?:[a-zA-Z0-9_-]+\/)?[a-zA-Z0-9_-]+(?:\.[a-zA-Z0-9_-]+)*(?:\.(json|liquid))?$/
+          return /^(?:[a-zA-Z0-9_-]+\/)?[a-zA-Z0-9_-]+(?:\.[a-zA-Z0-9_-]+)*(?:\.json)?$/.test(v) && 
                  v.length >= 2 && 
                  v.length <= 100;
         },
-        message: props => `${props.value} is not a valid Shopify template name. Must be 2-100 characters with alphanumeric, hyphens, underscores, dots, and optional .json extension.`
+        message: props => `${props.value} is not a valid Shopify template name. Must be 2-100 characters with alphanumeric, hyphens, underscores, dots, an optional directory/ prefix and optional .json extension.`
       }
     },
 
@@ -151,6 +157,35 @@ const CriticalCssSchema = new mongoose.Schema(
       default: ''
     },
 
+    // Per-viewport CSS, unwrapped, so themes can inline only what one device needs
+    variants: {
+      type: [{
+        device: {
+          type: String,
+          enum: ['mobile', 'tablet', 'desktop'],
+          required: true
+        },
+        viewport: {
+          type: String, // e.g. "360x800"
+          required: true
+        },
+        media_query: {
+          type: String,
+          default: null
+        },
+        css: {
+          type: String,
+          default: ''
+        },
+        size: {
+          type: Number,
+          default: 0,
+          min: 0
+        }
+      }],
+      default: []
+    },
+
       enabled: {
       type: Boolean,
       required: true,
@@ -164,6 +199,35 @@ const CriticalCssSchema = new mongoose.Schema(
       default: null
     },
 
+    // Complementary stylesheet: everything the critical CSS leaves out, for deferred loading
+    non_critical_css: {
+      type: String,
+      default: ''
+    },
+
+    non_critical_cdn_url: {
+      type: String,
+      required: false,
+      default: null
+    },
+
+    // Sample pages the CSS was combined from (multi-sample generation); reused by regenerate
+    sampling: {
+      urls: {
+        type: [String],
+        default: undefined
+      },
+      strategy: {
+        type: String,
+        enum: ['union', 'intersection', 'threshold'],
+        default: 'union'
+      },
+      threshold: {
+        type: Number,
+        default: null
+      }
+    },
+
 
     metadata: {
       size: {
@@ -209,6 +273,25 @@ const CriticalCssSchema = new mongoose.Schema(
           },
           message: 'Error history cannot exceed 3 entries'
         }
+      },
+      // Last visual regression check: critical-only render vs full render (see VisualRegression)
+      visualRegression: {
+        score: {
+          type: Number, // percentage of pixels that differ
+          default: null
+        },
+        diffPixels: { type: Number, default: null },
+        totalPixels: { type: Number, default: null },
+        threshold: { type: Number, default: null },
+        flagged: {
+          type: Boolean,
+          default: false,
+          index: true // Find templates whose critical CSS visibly differs from the full page
+        },
+        diffImagePath: { type: String, default: null },
+        viewport: { type: String, default: null },
+        checkedAt: { type: Date, default: null },
+        error: { type: String, default: null, maxlength: 1000 }
       }
     }
   },
@@ -234,7 +317,8 @@ CriticalCssSchema.index({ 'metadata.generatedAt': -1 }); // Find recently genera
  * - `error`: Current error (or null if successful)
  * - `errorHistory`: Last 3 errors with timestamps (useful for ops/debugging)
  * 
- * @param {Object} data - { shop, template, url, critical_css, error }
+ * @param {Object} data - { shop, template, url, critical_css, variants, cdn_url, non_critical_css, non_critical_cdn_url, sampling, error, generated }
+ *   `generated` marks critical_css as newly generated (not a re-save of the stored CSS)
  * @returns {Promise<Object>} Plain object (normalized) with ISO date strings
  */
 CriticalCssSchema.statics.upsertCriticalCss = async function(data) {
@@ -263,6 +347,35 @@ CriticalCssSchema.statics.upsertCriticalCss = async function(data) {
       update.$set['metadata.generatedAt'] = new Date();
     }
 
+    // Variants are replaced as a set; omitted variants leave the stored ones untouched
+    if (Array.isArray(data.variants)) {
+      update.$set.variants = data.variants.map(variant => ({
+        device: variant.device,
+        viewport: variant.viewport,
+        media_query: variant.media_query ?? variant.mediaQuery ?? null,
+        css: variant.css || '',
+        size: variant.css ? Buffer.byteLength(variant.css, 'utf8') : 0
+      }));
+    }
+
+    // CDN URLs and the non-critical stylesheet are only touched when provided
+    if (data.cdn_url !== undefined) {
+      update.$set.cdn_url = data.cdn_url;
+    }
+
+    if (data.non_critical_css !== undefined) {
+      update.$set.non_critical_css = data.non_critical_css || '';
+    }
+
+    if (data.non_critical_cdn_url !== undefined) {
+      update.$set.non_critical_cdn_url = data.non_critical_cdn_url;
+    }
+
+    // Sampling is replaced as a whole; null goes back to the single `url`
+    if (data.sampling !== undefined) {
+      update.$set.sampling = data.sampling;
+    }
+
     // If there's an error, add it to error history (keep last 3)
     if (data.error) {
       update.$push = {
@@ -279,6 +392,12 @@ CriticalCssSchema.statics.upsertCriticalCss = async function(data) {
       update.$set['metadata.errorHistory'] = [];
     }
 
+    // A visual regression result describes the previous CSS; a failed attempt
+    // re-saves that same CSS and keeps it
+    if (data.generated && data.critical_css) {
+      update.$unset = { 'metadata.visualRegression': '' };
+    }
+
     logger.debug(`Upserting CSS for ${data.shop}/${data.template}: ${size} bytes`);
 
     const options = { 
@@ -382,14 +501,19 @@ CriticalCssSchema.statics.enableCriticalCss = async function(shop, template) {
  * Static method: Get all templates for a shop
  * @param {string} shop - Shop domain
  * @param {boolean} onlyEnabled - Only return enabled templates (default: true)
+ * @param {boolean} includeCss - Include the combined critical CSS (default: false)
  * @returns {Promise<Array>} Array of plain objects (normalized) with ISO date strings
  */
-CriticalCssSchema.statics.findByShop = async function(shop, onlyEnabled = true) {
+CriticalCssSchema.statics.findByShop = async function(shop, onlyEnabled = true, includeCss = false) {
   try {
     const filter = { shop };
     if (onlyEnabled) filter.enabled = true;
+
+    const projection = includeCss
+      ? '-non_critical_css -variants.css'
+      : '-critical_css -non_critical_css -variants.css';
     
-    const records = await this.find(filter, '-critical_css')
+    const records = await this.find(filter, projection)
       .sort({ template: 1 })
       .lean();
     
@@ -429,6 +553,79 @@ CriticalCssSchema.statics.deleteCriticalCss = async function(shop, template) {
   }
 };
 
+/**
+ * Static method: Store a visual regression result for a shop/template
+ * Replaces the previous result. The record must exist.
+ *
+ * @param {string} shop - Shop domain
+ * @param {string} template - Template name
+ * @param {Object} result - VisualRegression.check() result
+ * @returns {Promise<Object|null>} Plain object (normalized) with ISO date strings, or null
+ */
+CriticalCssSchema.statics.setVisualRegression = async function(shop, template, result) {
+  try {
+    if (!shop || !template) {
+      throw new Error('Shop and template are required');
+    }
+
+    const visualRegression = {
+      score: result.score ?? null,
+      diffPixels: result.diffPixels ?? null,
+      totalPixels: result.totalPixels ?? null,
+      threshold: result.threshold ?? null,
+      flagged: Boolean(result.flagged),
+      diffImagePath: result.diffImagePath || null,
+      viewport: result.viewport || null,
+      checkedAt: result.checkedAt ? new Date(result.checkedAt) : new Date(),
+      error: result.error ? result.error.slice(0, 1000) : null
+    };
+
+    logger.info(`Storing visual regression result for ${shop}/${template}: ${visualRegression.score ?? 'n/a'}%`);
+
+    const updated = await this.findOneAndUpdate(
+      { shop, template },
+      { $set: { 'metadata.visualRegression': visualRegression } },
+      { new: true, lean: true, runValidators: true }
+    );
+
+    return normalizeResponse(updated);
+
+  } catch (err) {
+    logger.error('Error in setVisualRegression', err);
+    throw err;
+  }
+};
+
+/**
+ * Static method: Find templates flagged by the visual regression check
+ * @param {Object} criteria
+ * @param {string} [criteria.shop] - Limit to one shop
+ * @param {number} [criteria.limit] - Maximum results to return (default: 100)
+ * @returns {Promise<Array>} Array of plain objects (normalized) with ISO date strings
+ */
+CriticalCssSchema.statics.findFlaggedTemplates = async function(criteria = {}) {
+  try {
+    const { shop, limit = 100 } = criteria;
+
+    const filter = { 'metadata.visualRegression.flagged': true };
+    if (shop) filter.shop = shop;
+
+    const results = await this.find(filter)
+      .select('shop template url enabled metadata.generatedAt metadata.visualRegression')
+      .sort({ 'metadata.visualRegression.score': -1 }) // Largest difference first
+      .limit(limit)
+      .lean();
+
+    logger.info(`Found ${results.length} flagged templates`);
+
+    return normalizeResponse(results);
+
+  } catch (err) {
+    logger.error('Error in findFlaggedTemplates', err);
+    throw err;
+  }
+};
+
 /**
  * Static method: Find templates that need regeneration
  * Useful for scheduled jobs that refresh stale CSS
@@ -511,8 +708,10 @@ export default {
   findByShopAndTemplate: (shop, template) => CriticalCss.findByShopAndTemplate(shop, template),
   disableCriticalCss: (shop, template) => CriticalCss.disableCriticalCss(shop, template),
   enableCriticalCss: (shop, template) => CriticalCss.enableCriticalCss(shop, template),
-  findByShop: (shop, onlyEnabled) => CriticalCss.findByShop(shop, onlyEnabled),
+  findByShop: (shop, onlyEnabled, includeCss) => CriticalCss.findByShop(shop, onlyEnabled, includeCss),
   deleteCriticalCss: (shop, template) => CriticalCss.deleteCriticalCss(shop, template),
   findStaleTemplates: (criteria) => CriticalCss.findStaleTemplates(criteria),
-  findProblematicTemplates: (criteria) => CriticalCss.findProblematicTemplates(criteria)
+  findProblematicTemplates: (criteria) => CriticalCss.findProblematicTemplates(criteria),
+  setVisualRegression: (shop, template, result) => CriticalCss.setVisualRegression(shop, template, result),
+  findFlaggedTemplates: (criteria) => CriticalCss.findFlaggedTemplates(criteria)
 };
\ No newline at end of file
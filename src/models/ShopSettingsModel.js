@@ -0,0 +1,345 @@
+// src/models/ShopSettingsModel.js
+import mongoose from 'mongoose';
+import LoggerService from '../logs/Logger.js';
+
+const logger = LoggerService.child({ service: 'ShopSettingsModel' });
+
+/**
+ * Mongoose Schema for shop-wide generation settings
+ * Collection: shop_settings
+ *
+ * Template-level settings live in `templates`, one entry per template, and
+ * are merged on top of these by GenerationSettings. Keeping them here (not on
+ * the CriticalCss record) lets a template be configured before its first
+ * generate.
+ */
+const TemplateSettingsSchema = new mongoose.Schema(
+  {
+    template: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true
+    },
+
+    selectors: {
+      include: {
+        type: [String],
+        default: []
+      },
+      exclude: {
+        type: [String],
+        default: []
+      }
+    },
+
+    // Byte budget for critical CSS; null = use the shop's budget
+    maxBytes: {
+      type: Number,
+      default: null,
+      min: 1024
+    },
+
+    // When the page counts as ready for extraction; unset fields use CSSProcessor defaults
+    readiness: {
+      waitUntil: {
+        type: String,
+        enum: ['load', 'domcontentloaded', 'networkidle0', 'networkidle2', null],
+        default: null
+      },
+      timeout: { type: Number, default: null, min: 1000 },
+      delay: { type: Number, default: null, min: 0 },
+      waitForSelector: { type: String, default: null },
+      fonts: { type: Boolean, default: null },
+      scroll: { type: Boolean, default: null }
+    }
+  },
+  { _id: false }
+);
+
+const ShopSettingsSchema = new mongoose.Schema(
+  {
+    shop: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      validate: {
+        validator: function(v) {
+          return /^[a-z0-9-]+\.myshopify\.com$/i.test(v);
+        },
+        message: props => `${props.value} is not a valid Shopify shop domain`
+      }
+    },
+
+    // Selector patterns: plain strings (substring match) or "/regex/flags"
+    selectors: {
+      include: {
+        type: [String],
+        default: []
+      },
+      exclude: {
+        type: [String],
+        default: []
+      }
+    },
+
+    // Byte budget for critical CSS; null = unlimited
+    maxBytes: {
+      type: Number,
+      default: null,
+      min: 1024
+    },
+
+    // Overrides for the third-party request blocklist used while rendering pages
+    requestBlocking: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      // Hosts blocked on top of the defaults
+      blockDomains: {
+        type: [String],
+        default: []
+      },
+      // Default hosts this shop needs (e.g. a review widget that renders above the fold)
+      allowDomains: {
+        type: [String],
+        default: []
+      },
+      // Replaces the default blocked resource types; null = defaults
+      resourceTypes: {
+        type: [String],
+        default: undefined
+      }
+    },
+
+    // Popup/banner dismissal before capture
+    overlays: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      // Removed on top of the built-in consent/newsletter/age-gate patterns
+      selectors: {
+        type: [String],
+        default: []
+      }
+    },
+
+    // Critical CSS extraction engine (see ExtractionEngines)
+    engine: {
+      type: String,
+      enum: ['coverage', 'critical'],
+      default: 'coverage'
+    },
+
+    // Extra emulated media passes (see MediaEmulation)
+    emulateMedia: {
+      type: [{ type: String, enum: ['dark', 'reduced-motion'] }],
+      default: []
+    },
+
+    // Storefront password for password-protected (dev/pre-launch) stores,
+    // encrypted with SecretCipher; never returned by findByShop/updateSettings
+    storefrontPassword: {
+      type: String,
+      default: null,
+      select: false
+    },
+
+    // Template-level settings, see TemplateSettingsSchema
+    templates: {
+      type: [TemplateSettingsSchema],
+      default: []
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'shop_settings'
+  }
+);
+
+/**
+ * Replace the stored storefront password with a hasStorefrontPassword flag
+ * @param {Object|null} settings - Plain object selected with +storefrontPassword
+ * @returns {Object|null}
+ */
+function withoutPassword(settings) {
+  if (!settings) return settings;
+  const { storefrontPassword, ...rest } = settings;
+  return { ...rest, hasStorefrontPassword: Boolean(storefrontPassword) };
+}
+
+/**
+ * Static method: Find settings for a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object|null>} Plain object, or null if the shop has no settings
+ */
+ShopSettingsSchema.statics.findByShop = async function(shop) {
+  try {
+    return withoutPassword(await this.findOne({ shop }).select('+storefrontPassword').lean());
+  } catch (err) {
+    logger.error('Error in findByShop', { shop, error: err.message });
+    throw err;
+  }
+};
+
+/**
+ * Static method: Get the encrypted storefront password for a shop
+ * @param {string} shop - Shop domain
+ * @returns {Promise<string|null>} Encrypted password, or null when none is stored
+ */
+ShopSettingsSchema.statics.getStorefrontPassword = async function(shop) {
+  try {
+    const settings = await this.findOne({ shop }).select('+storefrontPassword').lean();
+    return settings?.storefrontPassword || null;
+  } catch (err) {
+    logger.error('Error in getStorefrontPassword', { shop, error: err.message });
+    throw err;
+  }
+};
+
+/**
+ * Static method: Create or update settings for a shop
+ * Only the fields present in `settings` are changed.
+ *
+ * @param {string} shop - Shop domain
+ * @param {Object} settings - { selectors: { include?, exclude? }, maxBytes?, requestBlocking?, overlays?, engine?, emulateMedia?, storefrontPassword? }
+ *                            (storefrontPassword already encrypted, or null to clear)
+ * @returns {Promise<Object>} Updated plain object
+ */
+ShopSettingsSchema.statics.updateSettings = async function(shop, settings = {}) {
+  try {
+    if (!shop) {
+      throw new Error('Shop is required');
+    }
+
+    const $set = {};
+    if (settings.selectors?.include !== undefined) $set['selectors.include'] = settings.selectors.include;
+    if (settings.selectors?.exclude !== undefined) $set['selectors.exclude'] = settings.selectors.exclude;
+    if (settings.maxBytes !== undefined) $set.maxBytes = settings.maxBytes;
+    for (const [field, value] of Object.entries(settings.requestBlocking || {})) {
+      if (value !== undefined) $set[`requestBlocking.${field}`] = value;
+    }
+    if (settings.overlays?.enabled !== undefined) $set['overlays.enabled'] = settings.overlays.enabled;
+    if (settings.overlays?.selectors !== undefined) $set['overlays.selectors'] = settings.overlays.selectors;
+    if (settings.engine !== undefined) $set.engine = settings.engine;
+    if (settings.emulateMedia !== undefined) $set.emulateMedia = settings.emulateMedia;
+    if (settings.storefrontPassword !== undefined) $set.storefrontPassword = settings.storefrontPassword;
+
+    logger.info(`Updating settings for ${shop}`, { fields: Object.keys($set) });
+
+    const updated = await this.findOneAndUpdate(
+      { shop },
+      { $set },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true, lean: true }
+    ).select('+storefrontPassword');
+
+    return withoutPassword(updated);
+  } catch (err) {
+    logger.error('Error in updateSettings', { shop, error: err.message });
+    throw err;
+  }
+};
+
+/**
+ * Static method: Find the settings stored for one template of a shop
+ * @param {string} shop - Shop domain
+ * @param {string} template - Template name
+ * @returns {Promise<Object|null>} { template, selectors, maxBytes, readiness }, or null when none are stored
+ */
+ShopSettingsSchema.statics.findTemplateSettings = async function(shop, template) {
+  try {
+    const settings = await this.findOne(
+      { shop },
+      { templates: { $elemMatch: { template: template.toLowerCase() } } }
+    ).lean();
+
+    return settings?.templates?.[0] || null;
+  } catch (err) {
+    logger.error('Error in findTemplateSettings', { shop, template, error: err.message });
+    throw err;
+  }
+};
+
+/**
+ * Static method: Create or update the settings of one template
+ * Only the fields present in `settings` are changed. A template without
+ * stored settings starts from the defaults, and a shop without settings is
+ * created.
+ *
+ * @param {string} shop - Shop domain
+ * @param {string} template - Template name
+ * @param {Object} settings - { selectors: { include?, exclude? }, maxBytes?, readiness? }
+ * @returns {Promise<Object>} Updated entry { template, selectors, maxBytes, readiness }
+ */
+ShopSettingsSchema.statics.updateTemplateSettings = async function(shop, template, settings = {}) {
+  try {
+    if (!shop || !template) {
+      throw new Error('Shop and template are required');
+    }
+
+    const name = template.toLowerCase();
+    const projection = { templates: { $elemMatch: { template: name } } };
+
+    const $set = {};
+    if (settings.selectors?.include !== undefined) $set['templates.$.selectors.include'] = settings.selectors.include;
+    if (settings.selectors?.exclude !== undefined) $set['templates.$.selectors.exclude'] = settings.selectors.exclude;
+    if (settings.maxBytes !== undefined) $set['templates.$.maxBytes'] = settings.maxBytes;
+    if (settings.readiness !== undefined) $set['templates.$.readiness'] = settings.readiness || {};
+
+    logger.info(`Updating settings for ${shop}/${name}`, { fields: Object.keys($set) });
+
+    // Entry added for a template without stored settings
+    const entry = {
+      template: name,
+      selectors: {
+        include: settings.selectors?.include ?? [],
+        exclude: settings.selectors?.exclude ?? []
+      },
+      maxBytes: settings.maxBytes ?? null,
+      readiness: settings.readiness || {}
+    };
+
+    // A concurrent request can add the entry between the update and the push;
+    // the push then no longer matches, its upsert hits the unique shop index
+    // (E11000), and the retry updates the entry that request added
+    for (let attempt = 0; ; attempt++) {
+      const updated = await this.findOneAndUpdate(
+        { shop, 'templates.template': name },
+        { $set },
+        { new: true, runValidators: true, lean: true, projection }
+      );
+      if (updated) return updated.templates[0];
+
+      try {
+        const created = await this.findOneAndUpdate(
+          { shop, 'templates.template': { $ne: name } },
+          { $push: { templates: entry } },
+          { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true, lean: true, projection }
+        );
+
+        return created.templates[0];
+      } catch (err) {
+        if (err.code !== 11000 || attempt > 0) throw err;
+        logger.debug(`Template settings for ${shop}/${name} were created concurrently, retrying as an update`);
+      }
+    }
+  } catch (err) {
+    logger.error('Error in updateTemplateSettings', { shop, template, error: err.message });
+    throw err;
+  }
+};
+
+const ShopSettings = mongoose.model('ShopSettings', ShopSettingsSchema);
+
+export default {
+  ShopSettings,
+  findByShop: (shop) => ShopSettings.findByShop(shop),
+  getStorefrontPassword: (shop) => ShopSettings.getStorefrontPassword(shop),
+  updateSettings: (shop, settings) => ShopSettings.updateSettings(shop, settings),
+  findTemplateSettings: (shop, template) => ShopSettings.findTemplateSettings(shop, template),
+  updateTemplateSettings: (shop, template, settings) => ShopSettings.updateTemplateSettings(shop, template, settings)
+};
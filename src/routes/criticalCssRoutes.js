@@ -9,9 +9,86 @@
 
 import express from 'express';
 import CriticalCssController from '../controllers/CriticalCssController.js';
+import SettingsController from '../controllers/SettingsController.js';
 
 const router = express.Router();
 
+// ============================================================================
+// SETTINGS ROUTES
+// ============================================================================
+
+/**
+ * GET /critical-css/:shop/settings
+ * Retrieve shop-wide generation settings
+ * 
+ * Note: Registered before the core routes so "settings" is not read as a template
+ * 
+ * Returns: { shop, selectors: { include, exclude }, maxBytes, requestBlocking, overlays, engine, emulateMedia, hasStorefrontPassword }
+ */
+router.get('/:shop/settings', SettingsController.getShopSettings);
+
+/**
+ * PUT /critical-css/:shop/settings
+ * Update shop-wide generation settings (applied to every template)
+ * 
+ * Body: {
+ *   selectors: {
+ *     include: [".announcement-bar", "/^\\.cookie-banner/"],  // forced into critical CSS
+ *     exclude: ["#shopify-chat", "/app-block-popup/i"]         // never included
+ *   },
+ *   maxBytes: 14336,  // byte budget, lowest-importance rules are pruned to fit (null = no budget)
+ *   requestBlocking: {                 // third-party requests blocked while rendering (shop-only)
+ *     enabled: true,
+ *     blockDomains: ["widgets.example-app.com"],  // on top of the default blocklist
+ *     allowDomains: ["judge.me"],                 // default entries this shop needs
+ *     resourceTypes: ["media", "websocket"]       // replaces the default types (null = defaults)
+ *   },
+ *   overlays: {                        // popups/banners closed before capture (shop-only)
+ *     enabled: true,
+ *     selectors: ["#store-popup", ".promo-takeover"]  // removed on top of the built-in patterns
+ *   },
+ *   engine: "critical",                // extraction engine: "coverage" (default) or "critical" (alias "penthouse")
+ *   emulateMedia: ["dark"],            // extra passes: "dark" (prefers-color-scheme), "reduced-motion" (prefers-reduced-motion)
+ *   storefrontPassword: "secret"       // for password-protected stores; stored encrypted, null removes it
+ * }
+ * 
+ * Patterns are plain strings (substring match) or "/regex/flags". Exclude wins over include.
+ */
+router.put('/:shop/settings', SettingsController.updateShopSettings);
+
+/**
+ * GET /critical-css/:shop/:template/settings
+ * Retrieve template-level generation settings
+ */
+router.get('/:shop/:template/settings', SettingsController.getTemplateSettings);
+
+/**
+ * PUT /critical-css/:shop/:template/settings
+ * Update template-level generation settings (combined with the shop's settings)
+ * Works before the template's first generate; settings apply from the next one.
+ * 
+ * Body: same shape as PUT /:shop/settings, plus the template-only readiness strategy:
+ *   readiness: {                // replaces the stored strategy; null clears it
+ *     waitUntil: "load",        // load | domcontentloaded | networkidle0 (default) | networkidle2
+ *     timeout: 60000,           // navigation / waitForSelector timeout in ms
+ *     delay: 3000,              // extra wait once ready (default: 1000)
+ *     waitForSelector: ".slideshow--loaded",
+ *     fonts: true,              // wait for document.fonts.ready
+ *     scroll: true              // scroll through the page to trigger lazy content
+ *   }
+ */
+router.put('/:shop/:template/settings', SettingsController.updateTemplateSettings);
+
+/**
+ * GET /critical-css/:shop/flagged
+ * Templates whose last visual regression check exceeded its threshold
+ *
+ * Note: Registered before the core routes so "flagged" is not read as a template
+ *
+ * Returns: [{ template, url, enabled, generatedAt, visualRegression }], largest difference first
+ */
+router.get('/:shop/flagged', CriticalCssController.getFlaggedTemplates);
+
 // ============================================================================
 // CORE ROUTES
 // ============================================================================
@@ -23,10 +100,55 @@ const router = express.Router();
  * Body: {
  *   shop: "mystore.myshopify.com",
  *   template: "product",
- *   url: "https://mystore.myshopify.com/products/example"
+ *   url: "https://mystore.myshopify.com/products/example",
+ *   viewports: [       // optional, defaults to 360x800 mobile + 1366x768 desktop
+ *     "iphone-14",       // device preset: viewport, UA, touch, isMobile and scale factor
+ *     { preset: "ipad-air", mediaQuery: "(min-width: 481px) and (max-width: 1024px)" },
+ *     { width: 360, height: 800, deviceScaleFactor: 2, isMobile: true, userAgent: "Mozilla/5.0 (Linux; Android 14) ..." },
+ *     { width: 1366, height: 768, mediaQuery: null, device: "desktop" }  // null = unwrapped
+ *   ],                 // presets: iphone-se, iphone-14, iphone-14-pro-max, pixel-7, galaxy-s20,
+ *                      //          ipad-air, galaxy-tab-s8, laptop, macbook-air, desktop-hd
+ *   aboveFold: true,   // optional, keep only rules matching elements above the fold (default: false)
+ *   foldMargin: 200,   // optional, extra pixels below the viewport treated as above the fold
+ *   minify: false,     // optional, skip minification for debugging (default: true)
+ *   keepProtocolRelativeUrls: false, // optional, keep //cdn.example.com/... URLs as-is when absolutizing url()
+ *   maxBytes: 14336,   // optional, byte budget overriding the shop/template setting (null = no budget)
+ *   readiness: { waitUntil: "load", delay: 3000 }, // optional, merged over the template's readiness settings
+ *   engine: "critical", // optional, "coverage" or "critical" (alias "penthouse"); defaults to the shop's engine
+ *   emulateMedia: ["dark", "reduced-motion"] // optional, extra passes; defaults to the shop's setting ([] for none)
  * }
+ *
+ * Emulated media passes render the pages again with prefers-color-scheme: dark or
+ * prefers-reduced-motion: reduce; rules only those passes use are added wrapped in
+ * @media (prefers-color-scheme: dark) / @media (prefers-reduced-motion: reduce).
+ * metadata.mediaEmulation lists each pass and the rules it added per viewport.
+ *
+ * Several sample pages of the template (products with and without variants, sold out, ...):
+ *   urls: ["https://.../products/a", "https://.../products/b"],  // up to 10; `url`, if also set, is the first sample
+ *   sampleStrategy: "threshold",  // "union" (default): rules used on any sample, "intersection": on every sample,
+ *                                 // "threshold": on at least sampleThreshold% of the samples
+ *   sampleThreshold: 60           // percentage for "threshold" (default: 50)
+ * metadata.samples holds the strategy and per-sample stats; regenerate reuses the samples.
+ *
+ * Without a live URL (e.g. an unpublished theme preview), send the page instead of `url`:
+ *   html: "<!doctype html><html>...</html>",   // raw HTML, loaded with page.setContent()
+ *   css: ["...theme.css contents..."],          // optional, stylesheet contents added after the page's own styles
+ *   baseUrl: "https://mystore.myshopify.com/"   // optional, relative links, images and fonts resolve against it
+ * The result (css, nonCriticalCss, metadata) is returned but not stored, so the
+ * template's live critical CSS is left alone. Storefront passwords are not used.
  * 
- * Returns: Generated CSS + metadata
+ * Returns: Generated CSS + metadata (metadata.foldFilter reports rules kept/dropped,
+ *          metadata.sources the bytes contributed by each stylesheet per viewport,
+ *          metadata.budget what was pruned to meet maxBytes and whether it was met,
+ *          metadata.nonCriticalSize the size of the stored non-critical stylesheet,
+ *          metadata.readiness the readiness strategy used,
+ *          metadata.requestBlocking how many third-party requests were blocked,
+ *          metadata.overlays which popups/banners were clicked away or removed,
+ *          metadata.devices the device profile emulated per viewport,
+ *          metadata.engine the extraction engine used)
+ *
+ * Errors: 422 with code STOREFRONT_PASSWORD_REQUIRED (store is locked, no password set)
+ *         or STOREFRONT_PASSWORD_REJECTED (stored password did not unlock it)
  */
 router.post('/generate', CriticalCssController.generateCriticalCss);
 
@@ -38,7 +160,12 @@ router.post('/generate', CriticalCssController.generateCriticalCss);
  *   shop - Shop domain (e.g., "mystore.myshopify.com")
  *   template - Template type (e.g., "product", "home", "collection")
  * 
- * Returns: { css, metadata, enabled }
+ * Query params (optional):
+ *   device - "mobile" | "tablet" | "desktop", or "auto" to pick from the User-Agent header
+ * 
+ * Returns: { css, device, cdnUrl, nonCriticalCdnUrl, metadata, enabled }
+ *          (device is "all" for the combined CSS; nonCriticalCdnUrl is the deferred
+ *          stylesheet holding every rule not in the critical CSS)
  */
 router.get('/:shop/:template', CriticalCssController.getCriticalCss);
 
@@ -59,7 +186,16 @@ router.post('/:shop/:template/disable', CriticalCssController.disableCriticalCss
  * Force regeneration of critical CSS
  * 
  * Body (optional): {
- *   url: "https://mystore.myshopify.com/products/example"
+ *   viewports: [...],  // same shape as /generate
+ *   aboveFold: true,
+ *   foldMargin: 200,
+ *   minify: true,
+ *   keepProtocolRelativeUrls: false,
+ *   maxBytes: 14336,
+ *   readiness: { waitForSelector: ".hero", fonts: true },
+ *   engine: "coverage",
+ *   emulateMedia: ["dark"],
+ *   urls: [...], sampleStrategy: "union", sampleThreshold: 50  // override the stored samples/strategy
  * }
  * 
  * Params:
@@ -82,7 +218,7 @@ router.post('/:shop/:template/regenerate', CriticalCssController.regenerateCriti
  *   shop - Shop domain
  *   template - Template type
  * 
- * Returns: { shop, template, url, enabled, metadata: { size, generatedAt, error } }
+ * Returns: { shop, template, url, enabled, metadata: { size, generatedAt, error, visualRegression } }
  */
 router.get('/:shop/:template/metadata', CriticalCssController.getCriticalCssMetadata);
 
@@ -105,6 +241,61 @@ router.get('/:shop/:template/metadata', CriticalCssController.getCriticalCssMeta
  */
 router.get('/:shop/:template/screenshot', CriticalCssController.getCriticalCssScreenshot);
 
+/**
+ * GET /critical-css/:shop/:template/inline
+ * Preview the page with its stored critical CSS inlined
+ *
+ * Params:
+ *   shop - Shop domain
+ *   template - Template type
+ *
+ * Query params (optional):
+ *   url - Page to fetch instead of the stored URL (same host as the stored page or the shop)
+ *   device - "mobile" | "tablet" | "desktop" | "auto" to inline a device variant
+ *
+ * Returns: Rewritten HTML (text/html) with critical CSS in <head> and the original
+ *          <link rel="stylesheet"> tags deferred via preload/onload
+ *
+ * Note: Works for disabled templates too, so they can be previewed before enabling
+ */
+router.get('/:shop/:template/inline', CriticalCssController.getInlinedHtml);
+
+/**
+ * POST /critical-css/:shop/:template/visual-check
+ * Visual regression check: the first viewport rendered with only the stored
+ * critical CSS (external stylesheets blocked) against the full page
+ *
+ * Body (optional): {
+ *   viewport: "iphone-14",  // device preset or { width, height, userAgent? } (default: 1366x768)
+ *   threshold: 5            // flag when more than this % of pixels differ (default: VISUAL_DIFF_THRESHOLD or 5)
+ * }
+ *
+ * Returns: { visualRegression: { score, diffPixels, totalPixels, threshold, flagged,
+ *            diffImagePath, viewport, checkedAt, error } }, also stored in
+ *          metadata.visualRegression until the CSS is regenerated.
+ *          The diff image shows differing pixels in red over the full render.
+ */
+router.post('/:shop/:template/visual-check', CriticalCssController.runVisualCheck);
+
+/**
+ * GET /critical-css/:shop/:template/validate
+ * Computed-style check: for every element in the first viewport, layout-affecting
+ * computed styles (display, position, width/height, margins, font, color,
+ * background-color) with only the stored critical CSS vs the full page
+ *
+ * Query params (optional):
+ *   viewport - Device preset, e.g. "iphone-14" (default: 1366x768)
+ *   width, height - Viewport size instead of a preset
+ *
+ * Returns: { valid, viewport, elementsCompared, elementsMismatched, unmatchedElements,
+ *            mismatches: [{ element, selector, properties: [{ property, critical, full }],
+ *                           missingSelectors }],   // first 200 mismatching elements
+ *            missingSelectors: [{ selector, elements }] }  // full-page rules missing from
+ *                                                         // the critical CSS, most elements first
+ *                                                         // (cross-origin stylesheets included)
+ */
+router.get('/:shop/:template/validate', CriticalCssController.validateCriticalCss);
+
 // ============================================================================
 // HEALTH CHECK (Optional)
 // ============================================================================
@@ -5,7 +5,7 @@ import ShopifyIntegrationController from '../controllers/ShopifyIntegrationContr
 
 const router = express.Router();
 
-// Generate critical CSS for all templates in a shop
+// Generate critical CSS for all templates in a shop (combining several sample pages per template when available)
 router.post('/generate-all-css', ShopifyIntegrationController.generateAllCSSForShop);
 
 // Get CSS CDN URL for a specific template
@@ -14,4 +14,7 @@ router.get('/:shop/:template/css-url', ShopifyIntegrationController.getCSSUrl);
 // Get template status overview
 router.get('/:shop/templates', ShopifyIntegrationController.getTemplateStatus);
 
+// Export a critical-css.liquid snippet covering every template
+router.get('/:shop/snippet', ShopifyIntegrationController.getLiquidSnippet);
+
 export default router;
\ No newline at end of file
@@ -11,16 +11,31 @@ class BunnyCDNService {
     this.logger = LoggerService.child({ service: 'BunnyCDN' });
   }
 
+  /**
+   * Storage key for a shop/template stylesheet. Critical CSS keeps the
+   * original `<shop>/<template>.css` key; other kinds get a suffix.
+   * @param {string} shop - Shop domain
+   * @param {string} template - Template name
+   * @param {string} [kind='critical'] - 'critical' or 'non-critical'
+   * @returns {string} File name within the storage zone
+   */
+  getFileName(shop, template, kind = 'critical') {
+    return kind === 'critical'
+      ? `${shop}/${template}.css`
+      : `${shop}/${template}.${kind}.css`;
+  }
+
   /**
    * Upload CSS file to Bunny CDN
    * @param {string} shop - Shop domain
    * @param {string} template - Template name
    * @param {string} css - CSS content
+   * @param {string} [kind='critical'] - 'critical' or 'non-critical'
    * @returns {Promise<string>} CDN URL
    */
-  async uploadCSS(shop, template, css) {
+  async uploadCSS(shop, template, css, kind = 'critical') {
     try {
-      const fileName = `${shop}/${template}.css`;
+      const fileName = this.getFileName(shop, template, kind);
       const uploadUrl = `https://storage.bunnycdn.com/${this.storageZone}/${fileName}`;
 
       this.logger.debug(`Uploading CSS to Bunny CDN: ${fileName}`);
@@ -37,6 +52,7 @@ class BunnyCDNService {
       this.logger.info(`CSS uploaded successfully to CDN`, {
         shop,
         template,
+        kind,
         url: cdnUrl,
         size: Buffer.byteLength(css, 'utf8')
       });
@@ -47,6 +63,7 @@ class BunnyCDNService {
       this.logger.error(`Failed to upload CSS to Bunny CDN`, {
         shop,
         template,
+        kind,
         error: error.message
       });
       throw error;
@@ -57,10 +74,11 @@ class BunnyCDNService {
    * Delete CSS file from Bunny CDN
    * @param {string} shop - Shop domain
    * @param {string} template - Template name
+   * @param {string} [kind='critical'] - 'critical' or 'non-critical'
    */
-  async deleteCSS(shop, template) {
+  async deleteCSS(shop, template, kind = 'critical') {
     try {
-      const fileName = `${shop}/${template}.css`;
+      const fileName = this.getFileName(shop, template, kind);
       const deleteUrl = `https://storage.bunnycdn.com/${this.storageZone}/${fileName}`;
 
       await axios.delete(deleteUrl, {
@@ -69,12 +87,13 @@ class BunnyCDNService {
         }
       });
 
-      this.logger.info(`CSS deleted from CDN`, { shop, template });
+      this.logger.info(`CSS deleted from CDN`, { shop, template, kind });
 
     } catch (error) {
       this.logger.warn(`Failed to delete CSS from Bunny CDN`, {
         shop,
         template,
+        kind,
         error: error.message
       });
     }
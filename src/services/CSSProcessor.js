@@ -1,17 +1,79 @@
 // src/services/CSSProcessor.js
 
-import puppeteer from 'puppeteer';
 import postcss from 'postcss';
 import safeParser from 'postcss-safe-parser';
+import cssnano from 'cssnano';
 import LoggerService from '../logs/Logger.js';
 import { getPool } from '../services/BrowserPool.js';
+import RequestBlocker from '../services/RequestBlocker.js';
+import OverlayDismisser from '../services/OverlayDismisser.js';
+import appConfig from '../config/config.js';
+import DEVICE_PRESETS, { DEFAULT_MOBILE_USER_AGENTS } from '../config/devicePresets.js';
+
+// Dynamic pseudo-classes and pseudo-elements never match in querySelectorAll,
+// so they are stripped before testing a selector against the rendered page.
+const NON_MATCHING_PSEUDO = /::?(?:-[a-z]+-[\w-]+|hover|focus|focus-within|focus-visible|active|visited|link|target|before|after|placeholder|selection|marker|first-line|first-letter|backdrop|file-selector-button)(?![\w-])/gi;
+
+// At-rules that only scope their children; used rules are re-emitted inside them
+const CONDITIONAL_AT_RULES = new Set(['media', 'supports', 'layer', 'container', 'document', 'scope']);
+
+// Rules whose custom properties are global and pruned down to the ones referenced
+const ROOT_SELECTOR = /^(?::root|html|:host)$/i;
+
+// Viewports used when a request does not supply its own set
+const DEFAULT_VIEWPORTS = [
+  { width: 360, height: 800, deviceScaleFactor: 1, isMobile: true },   // mobile
+  { width: 1366, height: 768, deviceScaleFactor: 1, isMobile: false }  // desktop
+];
+
+// How long to wait for a page before extracting coverage, unless overridden
+const DEFAULT_READINESS = {
+  waitUntil: 'networkidle0',
+  timeout: 60000,
+  delay: 1000,
+  waitForSelector: null,
+  fonts: false,
+  scroll: false
+};
+
+const WAIT_UNTIL_EVENTS = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+
+// Error codes for failures that no viewport can get past; generation stops at the first
+const STOREFRONT_PASSWORD_REQUIRED = 'STOREFRONT_PASSWORD_REQUIRED';
+const STOREFRONT_PASSWORD_REJECTED = 'STOREFRONT_PASSWORD_REJECTED';
 
 class CSSProcessor {
   constructor() {
     this.logger = LoggerService.child({ service: 'CSSProcessor' });
     this.browserPool = getPool();
+    this.engine = 'coverage';
   }
 
+  /**
+   * Generate critical CSS for a URL across the configured viewports
+   *
+   * @param {Object} config
+   * @param {string} config.url - Page to extract critical CSS from (optional when config.html is set)
+   * @param {string} [config.html] - Raw HTML to extract from instead of loading config.url (theme previews)
+   * @param {string|Array<string>} [config.css] - Stylesheet contents added to config.html
+   * @param {string} [config.baseUrl] - URL config.html's relative references resolve against
+   * @param {Array<Object>} [config.viewports] - Viewports to capture, see normalizeViewports()
+   * @param {boolean} [config.aboveFold=false] - Keep only rules matching elements that intersect the fold (opt-in)
+   * @param {number} [config.foldMargin=0] - Extra pixels below the viewport still treated as above the fold
+   * @param {boolean} [config.minify=true] - Minify output; false keeps readable CSS for debugging
+   * @param {boolean} [config.keepProtocolRelativeUrls=false] - Leave //host/path URLs protocol-relative
+   * @param {Object} [config.selectors] - { include, exclude } selector patterns, see applySelectorRules()
+   * @param {number} [config.maxBytes] - Byte budget; lowest-importance rules are pruned to meet it
+   * @param {boolean} [config.nonCritical=true] - Also build the complementary non-critical stylesheet
+   * @param {Object} [config.readiness] - When the page counts as ready, see normalizeReadiness()
+   * @param {Object} [config.requestBlocking] - Shop overrides for the third-party blocklist, see RequestBlocker.resolve()
+   * @param {Object} [config.overlays] - { enabled, selectors } popup/banner dismissal, see OverlayDismisser.dismiss()
+   * @param {string} [config.storefrontPassword] - Password for password-protected Shopify storefronts
+   * @param {boolean} [config.keepStylesheets=false] - Also return the full stylesheets (Map url -> text) and importance ranks, for callers combining results
+   * @param {boolean} [config.rank=false] - Rank rules for budget pruning even without maxBytes (for callers applying the budget later)
+   * @param {Array<Object>} [config.mediaFeatures] - [{ name, value }] user preference media features to emulate, see MediaEmulation
+   * @returns {Promise<Object>} { css, metadata, error, errorCode }
+   */
   async generateCriticalCSS(config) {
     const startTime = Date.now();
     let criticalCss = '';
@@ -19,34 +81,76 @@ class CSSProcessor {
 
     const successfulViewports = [];
     const failedViewports = [];
+    const variants = [];
+    const minify = config.minify !== false;
+
+    const sources = {};
+    const dependencies = { keyframes: new Set(), fontFaces: new Set(), customProperties: new Set() };
+    const maxBytes = Math.max(0, parseInt(config.maxBytes, 10) || 0);
+    const stylesheets = new Map(); // external stylesheet URL -> full text, in first-seen order
+    const importance = {}; // viewport label -> Map(selector key -> score)
+    const readiness = this.normalizeReadiness(config.readiness);
+    const blocklist = RequestBlocker.resolve(config.requestBlocking);
+    const requestBlocking = { enabled: blocklist.enabled, blocked: 0, byResourceType: {}, byDomain: {} };
+    const overlays = { enabled: config.overlays?.enabled !== false, dismissed: [] };
+    const devices = {}; // viewport label -> emulated device profile
+    const fromHtml = typeof config.html === 'string';
+    const pageUrl = fromHtml ? (config.baseUrl || null) : config.url;
+
+    const selectorRules = {
+      include: config.selectors?.include || [],
+      exclude: config.selectors?.exclude || [],
+      forcedRules: 0,
+      excludedRules: 0
+    };
+
+    const foldFilter = {
+      enabled: config.aboveFold === true,
+      margin: Math.max(0, parseInt(config.foldMargin, 10) || 0),
+      rulesKept: 0,
+      rulesDropped: 0,
+      viewports: {}
+    };
+
+    const inputError = fromHtml
+      ? (!config.html.trim() ? 'Empty HTML' : (config.baseUrl && !this.isValidUrl(config.baseUrl) ? 'Invalid base URL' : null))
+      : (!this.isValidUrl(config.url) ? 'Invalid URL' : null);
 
-    if (!this.isValidUrl(config.url)) {
+    if (inputError) {
       const duration = Date.now() - startTime;
-      this.logger.warn(`❌ Invalid URL provided`, { url: config.url });
+      this.logger.warn(`❌ ${inputError} provided`, { url: pageUrl });
       return {
         css: '',
         metadata: {
           success: false,
           partial: false,
           duration,
-          url: config.url,
+          url: pageUrl,
+          engine: this.engine,
           viewportsTested: 0,
           successfulViewports: [],
           failedViewports: []
         },
-        error: 'Invalid URL'
+        error: inputError
       };
     }
 
+    // Supplied stylesheets: URLs made absolute up front, since the page has no URL of its own
+    const suppliedCss = fromHtml
+      ? [].concat(config.css || [])
+        .filter(text => typeof text === 'string' && text.trim())
+        .map(text => this.rewriteUrls(text, pageUrl, { keepProtocolRelative: config.keepProtocolRelativeUrls === true }))
+      : [];
+    suppliedCss.forEach((text, index) => stylesheets.set(`supplied:${index + 1}`, text));
+    const content = fromHtml ? this.prepareContent(config.html, { baseUrl: pageUrl, css: suppliedCss }) : null;
+
     try {
-      const viewports = [
-        { width: 360, height: 800 },      // mobile
-        { width: 1366, height: 768 }      // desktop
-      ];
+      const viewports = this.normalizeViewports(config.viewports);
 
       for (const vp of viewports) {
         let browser = null;
         let page = null;
+        let blockedRequests = null;
 
         try {
           this.logger.info(`🎯 Generating critical CSS @ ${vp.width}x${vp.height}`);
@@ -54,54 +158,145 @@ class CSSProcessor {
           browser = await this.browserPool.acquire();
           page = await browser.newPage();
 
-          // Set viewport
+          // Emulate the device: viewport, touch, mobile flag, scale factor and UA
           await page.setViewport({
             width: vp.width,
-            height: vp.height
+            height: vp.height,
+            deviceScaleFactor: vp.deviceScaleFactor,
+            isMobile: vp.isMobile,
+            hasTouch: vp.hasTouch
           });
+          await page.setUserAgent(vp.userAgent);
+          if (config.mediaFeatures?.length > 0) {
+            await page.emulateMediaFeatures(config.mediaFeatures);
+          }
 
-          // Enable CSS coverage
-          await page.coverage.startCSSCoverage();
+          devices[`${vp.width}x${vp.height}`] = {
+            preset: vp.preset,
+            userAgent: vp.userAgent,
+            isMobile: vp.isMobile,
+            hasTouch: vp.hasTouch,
+            deviceScaleFactor: vp.deviceScaleFactor
+          };
 
-          // Navigate to page
-          await page.goto(config.url, {
-            waitUntil: 'networkidle0',
-            timeout: 60000
-          });
+          // Keep analytics, widgets and chat apps out of the page (and the coverage)
+          blockedRequests = await RequestBlocker.attach(page, blocklist, pageUrl);
+
+          // Get past /password first so its CSS never reaches the coverage
+          if (config.storefrontPassword && !fromHtml) {
+            await this.unlockStorefront(page, config.url, config.storefrontPassword, readiness);
+          }
+
+          // Load the page (or the supplied HTML) and wait until it counts as ready
+          if (fromHtml) {
+            await page.setContent(content, {
+              waitUntil: readiness.waitUntil,
+              timeout: readiness.timeout
+            });
+          } else {
+            await page.goto(config.url, {
+              waitUntil: readiness.waitUntil,
+              timeout: readiness.timeout
+            });
+          }
+
+          // A locked storefront redirects every URL to /password
+          if (!fromHtml && await this.isPasswordPage(page)) {
+            const lockError = new Error(config.storefrontPassword
+              ? 'Storefront password was rejected; the page is still the password page'
+              : 'Storefront is password protected; set the shop\'s storefront password');
+            lockError.code = config.storefrontPassword ? STOREFRONT_PASSWORD_REJECTED : STOREFRONT_PASSWORD_REQUIRED;
+            throw lockError;
+          }
+
+          await this.waitForReadiness(page, readiness);
 
-          // Wait a bit for any dynamic content
-          await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 1000)));
+          // Close cookie banners, newsletter popups and age gates covering the fold
+          OverlayDismisser.merge(overlays.dismissed, await OverlayDismisser.dismiss(page, config.overlays));
 
-          // Get CSS coverage
+          // Take CSS coverage of the page as it now renders, without the overlays:
+          // starting rule usage tracking restyles the whole document, and every
+          // stylesheet already loaded is reported
+          await page.coverage.startCSSCoverage();
           const cssCoverage = await page.coverage.stopCSSCoverage();
 
-          // Extract used CSS
-          let viewportCss = '';
-          
+          // Extract used CSS from stylesheets (coverage) and runtime-only styles
+          const runtimeSources = await this.collectRuntimeStyles(page);
+
+          // Base for the document's own styles; about:blank for supplied HTML without a base URL
+          const documentUrl = fromHtml ? (pageUrl || page.url()) : page.url();
+
           for (const entry of cssCoverage) {
-            if (!entry.url) continue;
-            
-            const css = entry.text || '';
-            const usedRanges = entry.ranges || [];
-            
-            // Extract only used CSS from ranges
-            for (const range of usedRanges) {
-              const usedCss = css.substring(range.start, range.end);
-              if (usedCss.trim()) {
-                viewportCss += usedCss + '\n';
-              }
+            if (entry.url && entry.url !== page.url() && !stylesheets.has(entry.url)) {
+              stylesheets.set(entry.url, entry.text || '');
             }
           }
 
+          // Pick this viewport's critical rules (engine-specific)
+          const urlOptions = { keepProtocolRelative: config.keepProtocolRelativeUrls === true };
+          const extracted = await this.extractViewportCSS(page, vp, {
+            cssCoverage,
+            runtimeSources,
+            urlOptions,
+            documentUrl,
+            aboveFold: foldFilter.enabled,
+            foldMargin: foldFilter.margin
+          });
+
+          let viewportCss = extracted.css;
+          sources[`${vp.width}x${vp.height}`] = this.summarizeSources(extracted.sources);
+
+          if (extracted.fold) {
+            foldFilter.rulesKept += extracted.fold.rulesKept;
+            foldFilter.rulesDropped += extracted.fold.rulesDropped;
+            foldFilter.viewports[`${vp.width}x${vp.height}`] = extracted.fold;
+          }
+
+          // Full stylesheets, for rules and definitions outside the used set
+          const definitions = [
+            ...cssCoverage.map(entry => ({
+              css: entry.text || '',
+              baseUrl: entry.url && entry.url !== page.url() ? entry.url : documentUrl
+            })),
+            ...runtimeSources.map(source => ({ css: source.css, baseUrl: documentUrl }))
+          ];
+
+          // Apply the shop/template force-include and force-exclude selector patterns
+          if (selectorRules.include.length > 0 || selectorRules.exclude.length > 0) {
+            const applied = this.applySelectorRules(viewportCss, definitions, selectorRules, urlOptions);
+            viewportCss = applied.css;
+            selectorRules.forcedRules += applied.forcedRules;
+            selectorRules.excludedRules += applied.excludedRules;
+          }
+
+          // Pull in the @keyframes, @font-face and custom properties kept rules reference
+          if (viewportCss.trim().length > 0) {
+            const resolved = this.resolveDependencies(viewportCss, definitions, urlOptions);
+            viewportCss = resolved.css;
+            resolved.keyframes.forEach(name => dependencies.keyframes.add(name));
+            resolved.fontFaces.forEach(family => dependencies.fontFaces.add(family));
+            resolved.customProperties.forEach(prop => dependencies.customProperties.add(prop));
+          }
+
+          // Rank rules by where their elements render, for budget pruning
+          if ((maxBytes > 0 || config.rank) && viewportCss.trim().length > 0) {
+            importance[`${vp.width}x${vp.height}`] = await this.rankSelectors(page, viewportCss, vp, foldFilter.margin);
+          }
+
           // Clean and parse CSS
           if (viewportCss.trim().length > 0) {
             try {
-              const cleanedCss = await this.cleanCSS(viewportCss);
+              const cleanedCss = await this.cleanCSS(viewportCss, { minify });
               
               if (cleanedCss.trim().length > 0) {
                 successfulViewports.push(`${vp.width}x${vp.height}`);
                 const mq = this.getMediaQueryForViewport(vp);
-                criticalCss += mq ? `@media ${mq}{${cleanedCss}}` : cleanedCss;
+                variants.push({
+                  device: vp.device,
+                  viewport: `${vp.width}x${vp.height}`,
+                  mediaQuery: mq,
+                  css: cleanedCss
+                });
               } else {
                 partial = true;
                 failedViewports.push(`${vp.width}x${vp.height}`);
@@ -134,43 +329,85 @@ class CSSProcessor {
               // Ignore close errors
             }
           }
+
+          // Every other viewport would land on the same password page
+          if (err.code === STOREFRONT_PASSWORD_REQUIRED || err.code === STOREFRONT_PASSWORD_REJECTED) {
+            throw err;
+          }
         } finally {
+          if (blockedRequests) {
+            RequestBlocker.merge(requestBlocking, blockedRequests);
+          }
           if (browser) {
             await this.browserPool.release(browser);
           }
         }
       }
 
-      // Final minification
-      if (criticalCss) {
-        criticalCss = criticalCss
-          .replace(/\/\*[\s\S]*?\*\//g, '')  // Remove comments
-          .replace(/\s+/g, ' ')               // Collapse whitespace
-          .replace(/\s*([{}:;,])\s*/g, '$1') // Remove space around punctuation
-          .trim();
+      // Combine importance across viewports for the merged CSS
+      const combinedImportance = new Map();
+      for (const ranks of Object.values(importance)) {
+        for (const [key, score] of ranks) {
+          combinedImportance.set(key, Math.max(score, combinedImportance.get(key) ?? 0));
+        }
       }
 
+      const finalized = await this.finalizeVariants(variants, {
+        maxBytes,
+        ranks: combinedImportance,
+        variantRanks: importance,
+        stylesheets,
+        nonCritical: config.nonCritical !== false,
+        urlOptions: { keepProtocolRelative: config.keepProtocolRelativeUrls === true },
+        minify,
+        url: pageUrl
+      });
+      criticalCss = finalized.css;
+      const { merge, budget, nonCriticalCss } = finalized;
+
       const duration = Date.now() - startTime;
 
       if (criticalCss && criticalCss.length > 0) {
         return {
           css: criticalCss,
+          variants,
+          nonCriticalCss,
+          ...(config.keepStylesheets && { stylesheets, ranks: combinedImportance, variantRanks: importance }),
           metadata: {
             success: successfulViewports.length > 0,
             partial: failedViewports.length > 0 && successfulViewports.length > 0,
             duration,
-            url: config.url,
+            url: pageUrl,
+            engine: this.engine,
+            input: fromHtml ? 'html' : 'url',
             viewportsTested: viewports.length,
             size: criticalCss.length,
             successfulViewports,
-            failedViewports
+            failedViewports,
+            variants: variants.map(({ device, viewport, size }) => ({ device, viewport, size })),
+            merge,
+            foldFilter,
+            dependencies: {
+              keyframes: [...dependencies.keyframes],
+              fontFaces: [...dependencies.fontFaces],
+              customProperties: dependencies.customProperties.size
+            },
+            selectorRules,
+            budget,
+            nonCriticalSize: nonCriticalCss ? Buffer.byteLength(nonCriticalCss, 'utf8') : 0,
+            stylesheets: [...stylesheets.keys()],
+            readiness,
+            requestBlocking,
+            overlays,
+            devices,
+            sources
           },
           error: partial ? 'Partial viewport CSS generated' : null
         };
       }
 
       this.logger.warn(`❌ Critical CSS empty`, {
-        url: config.url,
+        url: pageUrl,
         successfulViewports,
         failedViewports
       });
@@ -181,38 +418,1374 @@ class CSSProcessor {
           success: false,
           partial,
           duration,
-          url: config.url,
+          url: pageUrl,
+          engine: this.engine,
+          input: fromHtml ? 'html' : 'url',
           viewportsTested: viewports.length,
           successfulViewports,
-          failedViewports
+          failedViewports,
+          foldFilter,
+          readiness,
+          requestBlocking,
+          overlays,
+          devices,
+          sources
         },
         error: partial ? 'Generated nothing (some viewports failed)' : 'No critical CSS generated for any viewport'
       };
 
     } catch (err) {
       const duration = Date.now() - startTime;
-      this.logger.error(`🔥 Critical CSS generation error`, { url: config.url, error: err.message });
+      this.logger.error(`🔥 Critical CSS generation error`, { url: pageUrl, error: err.message });
 
       return {
         css: '',
         metadata: {
           success: false,
           duration,
-          url: config.url,
+          url: pageUrl,
+          engine: this.engine,
           successfulViewports,
           failedViewports
         },
-        error: `Critical CSS generation failed: ${err.message}`
+        error: `Critical CSS generation failed: ${err.message}`,
+        errorCode: err.code || null
+      };
+    }
+  }
+
+  /**
+   * Fill in a readiness strategy with the defaults
+   *
+   * @param {Object} [readiness]
+   * @param {string} [readiness.waitUntil='networkidle0'] - load | domcontentloaded | networkidle0 | networkidle2
+   * @param {number} [readiness.timeout=60000] - Navigation (and waitForSelector) timeout in milliseconds
+   * @param {number} [readiness.delay=1000] - Extra wait once everything else is ready
+   * @param {string} [readiness.waitForSelector] - Wait until this selector is visible
+   * @param {boolean} [readiness.fonts=false] - Wait for document.fonts.ready
+   * @param {boolean} [readiness.scroll=false] - Scroll through the page to trigger lazy content
+   * @returns {Object} Complete strategy, as recorded in metadata.readiness
+   */
+  normalizeReadiness(readiness = {}) {
+    const strategy = { ...DEFAULT_READINESS };
+    if (!readiness || typeof readiness !== 'object') return strategy;
+
+    if (WAIT_UNTIL_EVENTS.includes(readiness.waitUntil)) strategy.waitUntil = readiness.waitUntil;
+    if (Number.isFinite(readiness.timeout) && readiness.timeout > 0) strategy.timeout = readiness.timeout;
+    if (Number.isFinite(readiness.delay) && readiness.delay >= 0) strategy.delay = readiness.delay;
+    if (typeof readiness.waitForSelector === 'string' && readiness.waitForSelector.trim()) {
+      strategy.waitForSelector = readiness.waitForSelector.trim();
+    }
+    if (typeof readiness.fonts === 'boolean') strategy.fonts = readiness.fonts;
+    if (typeof readiness.scroll === 'boolean') strategy.scroll = readiness.scroll;
+
+    return strategy;
+  }
+
+  /**
+   * Run the post-navigation readiness steps: selector, scroll, fonts, then delay.
+   *
+   * A selector that never appears or fonts that never settle are logged and
+   * skipped rather than failing the viewport; the page is still usable.
+   * Scrolling ends back at the top so fold measurements start from there.
+   *
+   * @param {Page} page - Puppeteer page after navigation
+   * @param {Object} readiness - Result of normalizeReadiness()
+   */
+  async waitForReadiness(page, readiness) {
+    if (readiness.waitForSelector) {
+      try {
+        await page.waitForSelector(readiness.waitForSelector, { visible: true, timeout: readiness.timeout });
+      } catch (err) {
+        this.logger.warn(`⚠️ Readiness selector not found, continuing`, {
+          selector: readiness.waitForSelector,
+          error: err.message
+        });
+      }
+    }
+
+    if (readiness.scroll) {
+      await page.evaluate(async () => {
+        const step = Math.max(200, Math.floor(window.innerHeight * 0.8));
+        const limit = 30000; // px; infinite-scroll pages would never end
+
+        for (let y = 0; y < Math.min(document.documentElement.scrollHeight, limit); y += step) {
+          window.scrollTo(0, y);
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        window.scrollTo(0, 0);
+      });
+    }
+
+    if (readiness.fonts) {
+      const settled = await page.evaluate(timeout => Promise.race([
+        document.fonts.ready.then(() => true),
+        new Promise(resolve => setTimeout(() => resolve(false), timeout))
+      ]), Math.min(readiness.timeout, 10000));
+
+      if (!settled) this.logger.warn(`⚠️ document.fonts.ready did not settle, continuing`);
+    }
+
+    if (readiness.delay > 0) {
+      await page.evaluate(delay => new Promise(resolve => setTimeout(resolve, delay)), readiness.delay);
+    }
+  }
+
+  /**
+   * Submit the storefront password form so the browser gets the unlock cookie.
+   * Already-unlocked storefronts (no form on /password) are left as they are.
+   *
+   * @param {Page} page - Puppeteer page, before navigating to the target URL
+   * @param {string} url - Target URL; the form is submitted on its origin
+   * @param {string} password - Storefront password
+   * @param {Object} readiness - Result of normalizeReadiness(), for the timeout
+   */
+  async unlockStorefront(page, url, password, readiness) {
+    const passwordUrl = new URL('/password', url).href;
+
+    await page.goto(passwordUrl, { waitUntil: 'domcontentloaded', timeout: readiness.timeout });
+
+    const input = await page.$('form[action$="/password"] input[type="password"], input#password[name="password"]');
+    if (!input) return;
+
+    await input.type(password);
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: readiness.timeout }),
+      page.evaluate(el => {
+        const form = el.form;
+        if (form.requestSubmit) form.requestSubmit();
+        else form.submit();
+      }, input)
+    ]);
+
+    this.logger.debug(`Submitted storefront password for ${new URL(url).host}`);
+  }
+
+  /**
+   * Whether the page is a Shopify storefront password page
+   *
+   * @param {Page} page - Puppeteer page after navigation
+   * @returns {Promise<boolean>}
+   */
+  async isPasswordPage(page) {
+    if (new URL(page.url()).pathname.replace(/\/+$/, '') === '/password') return true;
+
+    return page.evaluate(() => Boolean(
+      document.querySelector('form[action$="/password"] input[name="password"]') ||
+      document.body?.classList.contains('template-password')
+    ));
+  }
+  /**
+   * Ready supplied HTML for page.setContent(): a `<base>` so relative links,
+   * images and fonts resolve against baseUrl, and the supplied stylesheets as
+   * `<style>` blocks at the end of `<head>` (after the document's own styles)
+   *
+   * @param {string} html - Supplied HTML
+   * @param {Object} [options]
+   * @param {string|null} [options.baseUrl] - URL relative references resolve against
+   * @param {Array<string>} [options.css] - Stylesheet contents
+   * @returns {string} HTML to load
+   */
+  prepareContent(html, { baseUrl = null, css = [] } = {}) {
+    let content = html;
+
+    const styles = css
+      .map((text, index) => `<style data-supplied-css="${index + 1}">${text.replace(/<\/style/gi, '<\\/style')}</style>`)
+      .join('');
+
+    if (styles) {
+      const headEnd = content.search(/<\/head\s*>/i);
+      content = headEnd !== -1
+        ? content.slice(0, headEnd) + styles + content.slice(headEnd)
+        : styles + content;
+    }
+
+    if (baseUrl && !/<base\b[^>]*href/i.test(content)) {
+      const baseTag = `<base href="${baseUrl.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">`;
+      const head = content.match(/<head\b[^>]*>/i);
+      content = head
+        ? content.replace(head[0], () => head[0] + baseTag)
+        : baseTag + content;
+    }
+
+    return content;
+  }
+
+
+  /**
+   * Pick the critical rules for one viewport from the loaded page
+   *
+   * The coverage engine keeps the rule ranges the browser reports as used
+   * (plus runtime-only styles) and, unless disabled, drops rules whose
+   * elements sit below the fold. Other engines override this step; everything
+   * before (page load) and after (selector rules, dependencies, budget,
+   * merging) is shared.
+   *
+   * @param {Object} page - Puppeteer page, loaded and ready
+   * @param {Object} vp - Normalized viewport
+   * @param {Object} context
+   * @param {Array<Object>} context.cssCoverage - Result of page.coverage.stopCSSCoverage()
+   * @param {Array<Object>} context.runtimeSources - Result of collectRuntimeStyles()
+   * @param {Object} context.urlOptions - Passed to rewriteUrls()
+   * @param {string} context.documentUrl - Base URL for the document's own (inline and runtime) styles
+   * @param {boolean} context.aboveFold - Restrict to rules used above the fold
+   * @param {number} context.foldMargin - Extra pixels below the viewport still above the fold
+   * @returns {Promise<Object>} { css, sources: [{ type, url, css }], fold: { rulesKept, rulesDropped } | null }
+   */
+  async extractViewportCSS(page, vp, { cssCoverage, runtimeSources, urlOptions, documentUrl, aboveFold, foldMargin }) {
+    const viewportSources = [
+      ...this.extractCoverageSources(cssCoverage, page.url()),
+      ...runtimeSources
+    ];
+
+    // Resolve url()/@import against the stylesheet each rule came from
+    for (const source of viewportSources) {
+      source.css = this.rewriteUrls(source.css, source.url || documentUrl, urlOptions);
+    }
+
+    let css = viewportSources.map(source => source.css).join('\n');
+    let fold = null;
+
+    // Drop rules that only style content below the fold
+    if (aboveFold && css.trim().length > 0) {
+      const filtered = await this.filterAboveFold(page, css, foldMargin);
+      css = filtered.css;
+      fold = { rulesKept: filtered.rulesKept, rulesDropped: filtered.rulesDropped };
+    }
+
+    return { css, sources: viewportSources, fold };
+  }
+
+  /**
+   * Extract used CSS from each coverage entry, keeping at-rule context.
+   *
+   * Entries without a URL, or whose URL is the document itself, come from
+   * inline <style> tags and are tagged 'inline'; the rest are 'external'.
+   *
+   * @param {Array<Object>} cssCoverage - Result of page.coverage.stopCSSCoverage()
+   * @param {string} pageUrl - Final document URL (after redirects)
+   * @returns {Array<Object>} [{ type, url, css }]
+   */
+  extractCoverageSources(cssCoverage, pageUrl) {
+    const extracted = [];
+
+    for (const entry of cssCoverage) {
+      const text = entry.text || '';
+      const inline = !entry.url || entry.url === pageUrl;
+
+      const used = this.extractUsedRules(text, entry.ranges || []).trim();
+
+      if (used) {
+        extracted.push({
+          type: inline ? 'inline' : 'external',
+          url: inline ? null : entry.url,
+          css: used
+        });
+      }
+    }
+
+    return extracted;
+  }
+
+  /**
+   * Walk a parsed stylesheet and keep the rules overlapping a used coverage
+   * range, re-emitted inside their original @media/@supports/@layer/@container
+   * context. Other at-rules (@font-face, @keyframes, @import, ...) are kept only
+   * when coverage marks them used; @layer statements are always kept since they
+   * fix layer order, and @charset is dropped.
+   *
+   * @param {string} text - Full stylesheet source
+   * @param {Array<Object>} ranges - Used [{ start, end }] offsets, sorted and non-overlapping
+   * @returns {string} Used CSS
+   */
+  extractUsedRules(text, ranges) {
+    if (!text || ranges.length === 0) return '';
+
+    // Binary search for a range intersecting [start, end)
+    const isUsed = (node) => {
+      const start = node.source?.start?.offset;
+      const end = node.source?.end?.offset;
+      if (start === undefined || end === undefined) return false;
+
+      let lo = 0;
+      let hi = ranges.length - 1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (ranges[mid].end <= start) lo = mid + 1;
+        else if (ranges[mid].start >= end) hi = mid - 1;
+        else return true;
+      }
+      return false;
+    };
+
+    return this.pruneStylesheet(text, isUsed);
+  }
+
+  /**
+   * Keep the nodes of a stylesheet that `keep` accepts, inside their
+   * conditional at-rule context. `keep` is asked about style rules and
+   * non-conditional at-rules; @layer statements are always kept and
+   * @charset is always dropped.
+   *
+   * @param {string} text - Stylesheet source
+   * @param {Function} keep - (node) => boolean
+   * @returns {string} Pruned CSS
+   */
+  pruneStylesheet(text, keep) {
+    const prune = (container) => {
+      container.each(node => {
+        if (node.type === 'atrule') {
+          const name = node.name.toLowerCase().replace(/^-[a-z]+-/, '');
+
+          if (CONDITIONAL_AT_RULES.has(name)) {
+            if (!node.nodes) return; // @layer a, b;
+            prune(node);
+            if (node.nodes.length === 0) node.remove();
+            return;
+          }
+          if (name === 'charset' || !keep(node)) node.remove();
+          return;
+        }
+
+        if (node.type === 'comment' || !keep(node)) node.remove();
+      });
+    };
+
+    const root = safeParser(text);
+    prune(root);
+    return root.toString();
+  }
+
+  /**
+   * Collect styles CSS coverage cannot see, keeping only rules that match an
+   * element in their scope:
+   * - 'inline':      rules added to <style> sheets via CSSStyleSheet.insertRule
+   * - 'constructed': document.adoptedStyleSheets (new CSSStyleSheet())
+   * - 'shadow':      <style> tags and adopted sheets inside open shadow roots;
+   *                  only rules styling the host itself are kept, with :host
+   *                  rewritten to the host element's tag name (see splitShadowRules())
+   *
+   * Shadow rules for the elements inside the root cannot match anything in the
+   * document, so they are reported as a separate 'shadow' source with
+   * `inlined: false` and empty css; only their size is recorded.
+   *
+   * @param {Object} page - Puppeteer page after navigation
+   * @returns {Promise<Array<Object>>} [{ type, url, host, css, inlined?, bytes? }]
+   */
+  async collectRuntimeStyles(page) {
+    const collected = await page.evaluate((pseudoSource, pseudoFlags) => {
+      const nonMatchingPseudo = new RegExp(pseudoSource, pseudoFlags);
+
+      const isUsed = (rule, scope) => {
+        if (rule.selectorText !== undefined) {
+          if (/:host/.test(rule.selectorText)) return true;
+          const probe = rule.selectorText.replace(nonMatchingPseudo, '').trim() || '*';
+          try {
+            return scope.querySelector(probe) !== null;
+          } catch {
+            return true;
+          }
+        }
+        if (rule.cssRules) {
+          return Array.from(rule.cssRules).some(child => isUsed(child, scope));
+        }
+        return true; // @font-face, @keyframes, @property, ...
+      };
+
+      const usedRules = (rules, scope) => Array.from(rules)
+        .filter(rule => isUsed(rule, scope))
+        .map(rule => rule.cssText)
+        .join('\n');
+
+      const results = [];
+
+      // Rules inserted into inline <style> sheets after parsing
+      for (const sheet of Array.from(document.styleSheets)) {
+        if (sheet.href || !sheet.ownerNode) continue;
+        let parsed;
+        try {
+          parsed = new CSSStyleSheet();
+          parsed.replaceSync(sheet.ownerNode.textContent || '');
+        } catch {
+          continue;
+        }
+        const original = new Set(Array.from(parsed.cssRules).map(rule => rule.cssText));
+        const inserted = Array.from(sheet.cssRules).filter(rule => !original.has(rule.cssText));
+        const css = usedRules(inserted, document);
+        if (css) results.push({ type: 'inline', host: null, css });
+      }
+
+      for (const sheet of document.adoptedStyleSheets || []) {
+        const css = usedRules(sheet.cssRules, document);
+        if (css) results.push({ type: 'constructed', host: null, css });
+      }
+
+      // Walk open shadow roots, including nested ones
+      const visit = (root) => {
+        for (const el of root.querySelectorAll('*')) {
+          if (!el.shadowRoot) continue;
+          const shadow = el.shadowRoot;
+          const sheets = [
+            ...Array.from(shadow.querySelectorAll('style')).map(style => style.sheet).filter(Boolean),
+            ...(shadow.adoptedStyleSheets || [])
+          ];
+          for (const sheet of sheets) {
+            const css = usedRules(sheet.cssRules, shadow);
+            if (css) results.push({ type: 'shadow', host: el.localName, css });
+          }
+          visit(shadow);
+        }
       };
+      visit(document);
+
+      return results;
+    }, NON_MATCHING_PSEUDO.source, NON_MATCHING_PSEUDO.flags);
+
+    return collected.flatMap(({ type, host, css }) => {
+      if (!host) return [{ type, url: null, host, css }];
+
+      const split = this.splitShadowRules(css, host);
+      return [
+        ...(split.css.trim() ? [{ type, url: null, host, css: split.css }] : []),
+        ...(split.rest.trim() ? [{ type, url: null, host, css: '', inlined: false, bytes: Buffer.byteLength(split.rest, 'utf8') }] : [])
+      ];
+    });
+  }
+
+  /**
+   * Split a shadow root's CSS into the rules styling the host element and the
+   * rest. Host selectors (`:host`, `:host(.open)`, `:host::before`) are
+   * rewritten to the host's tag name; selectors reaching into the shadow tree
+   * (`:host .panel`, `.panel`) and shadow-scoped at-rules (@font-face,
+   * @keyframes) stay in `rest`.
+   *
+   * @param {string} css - Used CSS of one shadow root stylesheet
+   * @param {string} host - Host element's tag name
+   * @returns {Object} { css, rest }
+   */
+  splitShadowRules(css, host) {
+    const isHostOnly = (selector) => {
+      const trimmed = selector.trim();
+      if (!/^:host(?![\w-])/.test(trimmed)) return false;
+      return !/[\s>+~]/.test(trimmed.replace(/^:host(?:\((?:[^()]|\([^()]*\))*\))?/, ''));
+    };
+    const rewrite = (selector) => selector
+      .trim()
+      .replace(/^:host\(((?:[^()]|\([^()]*\))*)\)/, `${host}$1`)
+      .replace(/^:host(?![\w-])/, host);
+
+    const hostCss = this.pruneStylesheet(css, node => node.type === 'rule' && node.selectors.some(isHostOnly));
+    const root = safeParser(hostCss);
+    root.walkRules(rule => {
+      rule.selectors = rule.selectors.filter(isHostOnly).map(rewrite);
+    });
+
+    const rest = this.pruneStylesheet(css, node => node.type !== 'rule' || !node.selectors.every(isHostOnly));
+
+    return { css: root.toString(), rest };
+  }
+
+  /**
+   * Turn selector patterns into a predicate. A pattern is either "/regex/flags"
+   * or a plain string matched as a substring of the selector.
+   *
+   * @param {Array<string>} patterns
+   * @returns {Function} (selector) => boolean
+   */
+  compileSelectorPatterns(patterns = []) {
+    const matchers = patterns.map(pattern => {
+      const regex = /^\/(.+)\/([imsu]*)$/.exec(pattern);
+      if (regex) {
+        const compiled = new RegExp(regex[1], regex[2]);
+        return selector => compiled.test(selector);
+      }
+      return selector => selector.includes(pattern);
+    });
+
+    return selector => matchers.some(matches => matches(selector.trim()));
+  }
+
+  /**
+   * Force selectors into or out of the critical CSS.
+   *
+   * Rules from the full stylesheets with a selector matching an include
+   * pattern are appended (in their at-rule context), whether used or not.
+   * Selectors matching an exclude pattern are then removed everywhere;
+   * exclude wins over include.
+   *
+   * @param {string} css - Kept CSS for one viewport
+   * @param {Array<Object>} definitions - Full stylesheets [{ css, baseUrl }]
+   * @param {Object} patterns - { include: [], exclude: [] }
+   * @param {Object} [urlOptions] - Passed to rewriteUrls() for included rules
+   * @returns {Object} { css, forcedRules, excludedRules }
+   */
+  applySelectorRules(css, definitions, { include = [], exclude = [] }, urlOptions = {}) {
+    let forcedRules = 0;
+    let excludedRules = 0;
+    let result = css;
+
+    if (include.length > 0) {
+      const isIncluded = this.compileSelectorPatterns(include);
+      const forced = definitions
+        .map(({ css: text, baseUrl }) => {
+          const matched = this.pruneStylesheet(text, node => (
+            node.type === 'rule' && node.selectors.some(isIncluded)
+          ));
+          return matched.trim() ? this.rewriteUrls(matched, baseUrl, urlOptions) : '';
+        })
+        .filter(Boolean)
+        .join('\n');
+
+      if (forced) {
+        safeParser(forced).walkRules(() => { forcedRules++; });
+        result = `${result}\n${forced}`;
+      }
     }
+
+    if (exclude.length > 0) {
+      const isExcluded = this.compileSelectorPatterns(exclude);
+      const root = safeParser(result);
+
+      root.walkRules(rule => {
+        if (rule.parent?.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+
+        const kept = rule.selectors.filter(selector => !isExcluded(selector));
+        if (kept.length === rule.selectors.length) return;
+
+        excludedRules++;
+        if (kept.length === 0) rule.remove();
+        else rule.selectors = kept;
+      });
+
+      root.walkAtRules(atRule => {
+        if (atRule.nodes && atRule.nodes.length === 0) atRule.remove();
+      });
+
+      result = root.toString();
+    }
+
+    return { css: result, forcedRules, excludedRules };
+  }
+
+  /**
+   * Build the complementary non-critical stylesheet: every rule of the page's
+   * external stylesheets that the critical CSS does not already contain, in
+   * the original cascade order (stylesheet order, then source order).
+   *
+   * Rules are matched per selector within the same at-rule context, so a rule
+   * partly kept in critical CSS keeps its other selectors here. :root/html/:host
+   * rules, @font-face and @keyframes are always kept since critical CSS only
+   * carries the referenced subset. Inline styles stay in the page and are not
+   * included.
+   *
+   * Only rules the critical CSS applies on every device count as covered:
+   * rules inside a viewport's media query wrapper (see mergeViewportCSS()) are
+   * kept here, since the other viewports need them.
+   *
+   * @param {Map} stylesheets - URL -> full stylesheet text
+   * @param {string} criticalCss - Final combined critical CSS
+   * @param {Object} [urlOptions] - Passed to rewriteUrls()
+   * @param {Object} [options]
+   * @param {Array<string>} [options.wrappers] - Viewport media queries the combined CSS wraps rules in
+   * @param {boolean} [options.minify=true] - Passed to cleanCSS()
+   * @returns {Promise<string>} Non-critical CSS
+   */
+  async buildNonCriticalCSS(stylesheets, criticalCss, urlOptions = {}, { wrappers = [], minify = true } = {}) {
+    const normalizeParams = (params) => params
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/\s*([:(),])\s*/g, '$1')
+      .trim();
+
+    const contextOf = (node) => {
+      const chain = [];
+      for (let parent = node.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+        if (parent.type === 'atrule') chain.unshift(`@${parent.name.toLowerCase()} ${normalizeParams(parent.params)}`);
+      }
+      return chain.join('|');
+    };
+
+    const isKeyframeStep = (rule) => rule.parent?.type === 'atrule' && /keyframes$/i.test(rule.parent.name);
+
+    // Top-level @media blocks whose queries all come from viewport wrappers
+    // (shared rules are wrapped in the joined query list)
+    const wrapperQueries = new Set(wrappers.filter(Boolean).flatMap(query => normalizeParams(query).split(',')));
+    const critical = new Set();
+    const criticalRoot = safeParser(criticalCss);
+
+    criticalRoot.each(node => {
+      if (node.type === 'atrule' && node.name.toLowerCase() === 'media' && node.nodes &&
+          normalizeParams(node.params).split(',').every(query => wrapperQueries.has(query))) {
+        node.remove();
+      }
+    });
+
+    criticalRoot.walkRules(rule => {
+      if (isKeyframeStep(rule)) return;
+      const context = contextOf(rule);
+      rule.selectors.forEach(selector => critical.add(`${context}|${this.selectorKey(selector)}`));
+    });
+
+    const rest = [];
+    for (const [url, text] of stylesheets) {
+      const root = safeParser(this.rewriteUrls(text, url, urlOptions));
+
+      root.walkRules(rule => {
+        if (isKeyframeStep(rule)) return;
+        if (rule.selectors.every(selector => ROOT_SELECTOR.test(selector.trim()))) return;
+
+        const context = contextOf(rule);
+        const remaining = rule.selectors.filter(selector => !critical.has(`${context}|${this.selectorKey(selector)}`));
+
+        if (remaining.length === 0) rule.remove();
+        else if (remaining.length < rule.selectors.length) rule.selectors = remaining;
+      });
+
+      root.walkAtRules(atRule => {
+        if (atRule.nodes && atRule.nodes.length === 0) atRule.remove();
+      });
+
+      rest.push(root.toString());
+    }
+
+    return (await this.cleanCSS(rest.join('\n'), { minify })).trim();
+  }
+
+  /**
+   * Resolve what kept rules depend on from the page's full stylesheets.
+   *
+   * - @keyframes named by animation / animation-name
+   * - @font-face for families named by font / font-family
+   * - custom properties read through var(), transitively; values of referenced
+   *   properties are scanned for keyframe and font names too (e.g. Dawn's
+   *   `font-family: var(--font-body-family)`)
+   *
+   * Unreferenced @keyframes and @font-face are removed from the kept CSS, and
+   * unreferenced custom properties are removed from :root/html/:host rules.
+   * Referenced properties that no kept rule defines are added in a :root rule.
+   *
+   * @param {string} css - Kept CSS for one viewport
+   * @param {Array<Object>} definitions - Full stylesheets [{ css, baseUrl }]
+   * @param {Object} [urlOptions] - Passed to rewriteUrls() for pulled-in @font-face
+   * @returns {Object} { css, keyframes, fontFaces, customProperties }
+   */
+  resolveDependencies(css, definitions, urlOptions = {}) {
+    const isKeyframes = (node) => node.type === 'atrule' && /^(?:-[a-z]+-)?keyframes$/i.test(node.name);
+    const isFontFace = (node) => node.type === 'atrule' && node.name.toLowerCase() === 'font-face';
+    const isRootRule = (node) => node?.type === 'rule' && node.selectors.every(sel => ROOT_SELECTOR.test(sel.trim()));
+    const unquote = (value) => value.replace(/["']/g, '').trim();
+    const familyName = (value) => unquote(value).toLowerCase(); // font-family matching is case-insensitive
+
+    // Everything the page defines
+    const keyframeDefs = new Map();  // name -> Map(at-rule name -> css)
+    const fontFaceDefs = new Map();  // family -> Set(css)
+    const rootVarDefs = new Map();   // --prop -> value
+
+    for (const { css: text, baseUrl } of definitions) {
+      const sheet = safeParser(text);
+
+      sheet.walkAtRules(atRule => {
+        if (isKeyframes(atRule)) {
+          const name = unquote(atRule.params);
+          if (!keyframeDefs.has(name)) keyframeDefs.set(name, new Map());
+          keyframeDefs.get(name).set(atRule.name.toLowerCase(), atRule.toString());
+        } else if (isFontFace(atRule)) {
+          let family = null;
+          atRule.walkDecls(/^font-family$/i, decl => { family = familyName(decl.value); });
+          if (!family) return;
+          if (!fontFaceDefs.has(family)) fontFaceDefs.set(family, new Set());
+          fontFaceDefs.get(family).add(this.rewriteUrls(atRule.toString(), baseUrl, urlOptions));
+        }
+      });
+
+      sheet.each(node => {
+        if (isRootRule(node)) node.walkDecls(/^--/, decl => rootVarDefs.set(decl.prop, decl.value));
+      });
+    }
+
+    const root = safeParser(css);
+
+    // Kept @keyframes/@font-face are re-added below only if referenced
+    root.walkAtRules(atRule => {
+      if (isKeyframes(atRule) || isFontFace(atRule)) atRule.remove();
+    });
+
+    const keptVars = new Map(); // --prop -> value, from kept root rules
+    const definedVars = new Set();
+    const pendingVars = [];
+    const animationValues = [];
+    const fontValues = [];
+
+    const scanValue = (prop, value) => {
+      for (const match of value.matchAll(/var\(\s*(--[\w-]+)/g)) pendingVars.push(match[1]);
+      if (/^(?:-[a-z]+-)?animation(?:-name)?$/i.test(prop) || prop.startsWith('--')) animationValues.push(value);
+      if (/^font(?:-family)?$/i.test(prop) || prop.startsWith('--')) fontValues.push(value);
+    };
+
+    root.walkDecls(decl => {
+      if (decl.prop.startsWith('--')) {
+        definedVars.add(decl.prop);
+        if (isRootRule(decl.parent)) {
+          keptVars.set(decl.prop, decl.value);
+          return; // Resolved on demand
+        }
+      }
+      scanValue(decl.prop, decl.value);
+    });
+
+    const customProperties = new Set();
+    while (pendingVars.length > 0) {
+      const prop = pendingVars.pop();
+      if (customProperties.has(prop)) continue;
+      customProperties.add(prop);
+
+      const value = keptVars.get(prop) ?? rootVarDefs.get(prop);
+      if (value !== undefined) scanValue(prop, value);
+    }
+
+    // Prune unreferenced custom properties from root rules
+    root.walkRules(rule => {
+      if (!isRootRule(rule)) return;
+      rule.walkDecls(/^--/, decl => {
+        if (!customProperties.has(decl.prop)) decl.remove();
+      });
+      if (rule.nodes.length === 0) rule.remove();
+    });
+
+    // Font names: every comma-separated entry and its trailing words (covers the font shorthand)
+    const fontFaces = new Set();
+    for (const value of fontValues) {
+      for (const part of value.split(',')) {
+        const words = familyName(part).split(/\s+/);
+        for (let i = 0; i < words.length; i++) {
+          const family = words.slice(i).join(' ');
+          if (fontFaceDefs.has(family)) fontFaces.add(family);
+        }
+      }
+    }
+
+    const keyframes = new Set();
+    for (const value of animationValues) {
+      for (const token of value.split(/[\s,]+/)) {
+        const name = unquote(token);
+        if (keyframeDefs.has(name)) keyframes.add(name);
+      }
+    }
+
+    // Referenced properties nothing kept defines
+    const missingVars = [...customProperties]
+      .filter(prop => !definedVars.has(prop) && rootVarDefs.has(prop))
+      .map(prop => `${prop}:${rootVarDefs.get(prop)}`);
+
+    const prepend = [
+      ...(missingVars.length > 0 ? [`:root{${missingVars.join(';')}}`] : []),
+      ...[...fontFaces].flatMap(family => [...fontFaceDefs.get(family)])
+    ].join('\n');
+    const append = [...keyframes].flatMap(name => [...keyframeDefs.get(name).values()]).join('\n');
+
+    // @import/@namespace/@layer statements must stay first
+    let leading = '';
+    while (root.first?.type === 'atrule' && !root.first.nodes &&
+           ['import', 'namespace', 'layer'].includes(root.first.name.toLowerCase())) {
+      leading += root.first.toString() + ';';
+      root.first.remove();
+    }
+
+    return {
+      css: [leading, prepend, root.toString(), append].filter(part => part.trim()).join('\n'),
+      keyframes: [...keyframes],
+      fontFaces: [...fontFaces],
+      customProperties: [...customProperties]
+    };
+  }
+
+  /**
+   * Rewrite relative url() and @import references to absolute URLs.
+   *
+   * data:, blob:, about: and fragment-only (#id) references are left untouched,
+   * as are protocol-relative URLs when keepProtocolRelative is set.
+   *
+   * @param {string} css - CSS extracted from one source
+   * @param {string} baseUrl - URL of the stylesheet (or document, for inline styles)
+   * @param {Object} [options]
+   * @param {boolean} [options.keepProtocolRelative=false] - Keep //host/path references as-is
+   * @returns {string} CSS with absolute references
+   */
+  rewriteUrls(css, baseUrl, { keepProtocolRelative = false } = {}) {
+    if (!baseUrl || !/url\(|@import/i.test(css)) return css;
+
+    const resolve = (ref) => {
+      const trimmed = ref.trim();
+      if (!trimmed || /^(?:data|blob|about):/i.test(trimmed) || trimmed.startsWith('#')) return ref;
+      if (keepProtocolRelative && trimmed.startsWith('//')) return ref;
+      try {
+        return new URL(trimmed, baseUrl).href;
+      } catch {
+        return ref;
+      }
+    };
+
+    const rewriteValue = (value) => value.replace(
+      /url\(\s*(['"]?)([^'")]*)\1\s*\)/gi,
+      (match, quote, ref) => `url(${quote}${resolve(ref)}${quote})`
+    );
+
+    const root = safeParser(css);
+
+    root.walkDecls(decl => {
+      // content: "url(...)" is literal text, not a reference
+      if (decl.prop.toLowerCase() === 'content') return;
+      if (/url\(/i.test(decl.value)) decl.value = rewriteValue(decl.value);
+    });
+
+    root.walkAtRules(atRule => {
+      if (atRule.name.toLowerCase() !== 'import') return;
+      atRule.params = /^\s*url\(/i.test(atRule.params)
+        ? rewriteValue(atRule.params)
+        : atRule.params.replace(/^(\s*)(['"])([^'"]*)\2/, (match, space, quote, ref) => `${space}${quote}${resolve(ref)}${quote}`);
+    });
+
+    return root.toString();
+  }
+
+  /**
+   * Total bytes of used CSS per source, e.g.
+   * [{ type: 'external', url: 'https://.../base.css', bytes: 5120 }, { type: 'inline', url: null, bytes: 830 }]
+   * Sources left out of the critical CSS (shadow tree rules) carry `inlined: false`.
+   */
+  summarizeSources(viewportSources) {
+    const summary = new Map();
+
+    for (const source of viewportSources) {
+      const inlined = source.inlined !== false;
+      const key = `${source.type}|${source.url || source.host || ''}|${inlined}`;
+      if (!summary.has(key)) {
+        summary.set(key, {
+          type: source.type,
+          url: source.url || null,
+          ...(source.host ? { host: source.host } : {}),
+          ...(inlined ? {} : { inlined: false }),
+          bytes: 0
+        });
+      }
+      summary.get(key).bytes += inlined ? Buffer.byteLength(source.css, 'utf8') : source.bytes;
+    }
+
+    return [...summary.values()];
+  }
+
+  /**
+   * Keep only style rules whose selectors match an element intersecting the
+   * viewport (extended downwards by `margin` pixels) on the loaded page.
+   *
+   * Selectors that cannot be tested (invalid for querySelectorAll) are kept,
+   * and non-matching selectors are removed from kept rules' selector lists.
+   * Rules inside @keyframes and other non-selector at-rules are left alone.
+   *
+   * @param {Object} page - Puppeteer page the CSS was captured from
+   * @param {string} css - Used CSS for the current viewport
+   * @param {number} margin - Extra pixels below the fold to include
+   * @returns {Promise<Object>} { css, rulesKept, rulesDropped }
+   */
+  async filterAboveFold(page, css, margin = 0) {
+    const root = safeParser(css);
+    const rules = [];
+
+    root.walkRules(rule => {
+      if (rule.parent?.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+      rules.push(rule);
+    });
+
+    const selectors = [...new Set(rules.flatMap(rule => rule.selectors))];
+    const measurements = await this.measureSelectors(page, selectors, margin);
+    const aboveFold = new Set(selectors.filter(selector => measurements.get(selector).visible));
+
+    let rulesKept = 0;
+    let rulesDropped = 0;
+
+    for (const rule of rules) {
+      const kept = rule.selectors.filter(selector => aboveFold.has(selector));
+      if (kept.length === 0) {
+        rule.remove();
+        rulesDropped++;
+      } else {
+        rule.selectors = kept;
+        rulesKept++;
+      }
+    }
+
+    // Remove at-rules emptied by the filtering above
+    root.walkAtRules(atRule => {
+      if (atRule.nodes && atRule.nodes.length === 0) atRule.remove();
+    });
+
+    return { css: root.toString(), rulesKept, rulesDropped };
+  }
+
+  /**
+   * Measure where each selector's elements sit on the loaded page.
+   *
+   * - visible: some element intersects the viewport extended by `margin`
+   *            (elements that render no box, e.g. display: none, never count)
+   * - top:     smallest top offset of an intersecting element (null if none)
+   * - area:    largest on-screen area of an intersecting element
+   * - untestable: querySelectorAll rejected the selector (treated as visible)
+   *
+   * @param {Object} page - Puppeteer page
+   * @param {Array<string>} selectors - Selectors as written in the CSS
+   * @param {number} [margin=0] - Extra pixels below the fold
+   * @returns {Promise<Map>} selector -> { visible, top, area, untestable }
+   */
+  async measureSelectors(page, selectors, margin = 0) {
+    const probes = selectors.map(selector => this.toMatchableSelector(selector));
+
+    const results = await page.evaluate((probes, margin) => {
+      const foldBottom = window.innerHeight + margin;
+      const foldRight = window.innerWidth;
+
+      // Hidden elements (closed menus, drawers) are skipped rather than judged
+      // by a visible ancestor, which would pull their rules above the fold
+      const boxOf = (el) => (el.getClientRects().length > 0 ? el.getBoundingClientRect() : null);
+
+      return probes.map(probe => {
+        let elements;
+        try {
+          elements = document.querySelectorAll(probe);
+        } catch {
+          return { visible: true, top: null, area: 0, untestable: true };
+        }
+
+        let top = null;
+        let area = 0;
+        for (const el of elements) {
+          const rect = boxOf(el);
+          if (rect && rect.top < foldBottom && rect.bottom >= 0 && rect.left < foldRight && rect.right >= 0) {
+            const width = Math.min(rect.right, foldRight) - Math.max(rect.left, 0);
+            const height = Math.min(rect.bottom, foldBottom) - Math.max(rect.top, 0);
+            top = top === null ? Math.max(rect.top, 0) : Math.min(top, Math.max(rect.top, 0));
+            area = Math.max(area, Math.max(width, 0) * Math.max(height, 0));
+          }
+        }
+        return { visible: top !== null, top, area, untestable: false };
+      });
+    }, probes, margin);
+
+    return new Map(selectors.map((selector, i) => [selector, results[i]]));
+  }
+
+  /**
+   * Score every selector in `css` by how prominent its elements are in the
+   * viewport: half for how high the topmost element sits, half for the largest
+   * on-screen area. Scores run from 0 (nothing above the fold) to 1; selectors
+   * that cannot be tested score 0.5.
+   *
+   * @param {Object} page - Puppeteer page
+   * @param {string} css - Kept CSS for the viewport
+   * @param {Object} vp - Viewport
+   * @param {number} [margin=0] - Extra pixels below the fold
+   * @returns {Promise<Map>} normalized selector key -> score
+   */
+  async rankSelectors(page, css, vp, margin = 0) {
+    const selectors = new Set();
+    safeParser(css).walkRules(rule => {
+      if (rule.parent?.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+      rule.selectors.forEach(selector => selectors.add(selector));
+    });
+
+    const measurements = await this.measureSelectors(page, [...selectors], margin);
+    const foldBottom = vp.height + margin;
+    const ranks = new Map();
+
+    for (const [selector, m] of measurements) {
+      let score = 0;
+      if (m.untestable) {
+        score = 0.5;
+      } else if (m.visible) {
+        const position = 1 - Math.min(m.top, foldBottom) / foldBottom;
+        const size = Math.min(m.area / (vp.width * foldBottom), 1);
+        score = (position + size) / 2;
+      }
+      ranks.set(this.selectorKey(selector), score);
+    }
+
+    return ranks;
+  }
+
+  /**
+   * Normalize a selector so it still matches after cssnano rewrote it
+   * (whitespace, attribute quotes, ::pseudo-elements, redundant *)
+   */
+  selectorKey(selector) {
+    return selector
+      .trim()
+      .replace(/\s*([>+~])\s*/g, '$1')
+      .replace(/\s+/g, ' ')
+      .replace(/["']/g, '')
+      .replace(/::/g, ':')
+      .replace(/(^|[\s>+~])\*(?=[.#[:])/g, '$1')
+      .toLowerCase();
+  }
+
+  /**
+   * Prune the lowest-importance rules until `css` fits in `maxBytes`.
+   *
+   * Rules are removed in ascending importance (later rules first on ties);
+   * rules on :root/html/:host and the single most important rule are never
+   * pruned. Each attempt also runs the
+   * dependency pass, so @keyframes, @font-face and custom properties that only
+   * pruned rules referenced go too. The smallest number of pruned rules that
+   * meets the budget is found by binary search.
+   *
+   * @param {string} css - Optimized CSS
+   * @param {number} maxBytes - Budget in bytes
+   * @param {Map} ranks - selectorKey() -> importance score (missing = 0.5)
+   * @param {Object} [options] - Passed to cleanCSS(), plus:
+   * @param {Array<string>} [options.demote] - Media queries whose rules are pruned before any ranked rule
+   * @returns {Promise<Object>} { css, report: { met, originalSize, size, prunedRules, prunedSelectors } }
+   */
+  async enforceBudget(css, maxBytes, ranks, options = {}) {
+    const { demote = [], ...cleanOptions } = options;
+    const originalSize = Buffer.byteLength(css, 'utf8');
+    if (originalSize <= maxBytes) {
+      return {
+        css,
+        report: { met: true, originalSize, size: originalSize, prunedRules: 0, prunedSelectors: [] }
+      };
+    }
+
+    // Prunable rules, in the order walkRules() visits them
+    const isPrunable = (rule) => !(rule.parent?.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) &&
+      !rule.selectors.every(sel => ROOT_SELECTOR.test(sel.trim()));
+
+    // Rules inside a demoted media query, at any depth, rank below every other rule
+    const demoted = new Set(demote.map(query => query.toLowerCase().replace(/\s+/g, '')));
+    const isDemoted = (rule) => {
+      for (let parent = rule.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+        if (parent.type === 'atrule' && parent.name.toLowerCase() === 'media' &&
+            demoted.has(parent.params.toLowerCase().replace(/\s+/g, ''))) {
+          return true;
+        }
+      }
+      return false;
+    };
+
+    const candidates = [];
+    safeParser(css).walkRules(rule => {
+      if (!isPrunable(rule)) return;
+      const score = isDemoted(rule) ? -1 : Math.max(...rule.selectors.map(sel => ranks.get(this.selectorKey(sel)) ?? 0.5));
+      candidates.push({ index: candidates.length, score, selector: rule.selector });
+    });
+
+    const pruneOrder = [...candidates].sort((a, b) => a.score - b.score || b.index - a.index);
+
+    // CSS with the `count` least important rules removed
+    const prune = async (count) => {
+      const removed = new Set(pruneOrder.slice(0, count).map(candidate => candidate.index));
+      const root = safeParser(css);
+      let index = 0;
+
+      root.walkRules(rule => {
+        if (!isPrunable(rule)) return;
+        if (removed.has(index++)) rule.remove();
+      });
+
+      let emptied = true;
+      while (emptied) {
+        emptied = false;
+        root.walkAtRules(atRule => {
+          if (atRule.nodes && atRule.nodes.length === 0) {
+            atRule.remove();
+            emptied = true;
+          }
+        });
+      }
+
+      const resolved = this.resolveDependencies(root.toString(), [{ css, baseUrl: null }]);
+      return (await this.cleanCSS(resolved.css, cleanOptions)).trim();
+    };
+
+    // Always keep the most important rule; an empty result would fail generation
+    let lo = 1;
+    let hi = Math.max(0, pruneOrder.length - 1);
+    let best = await prune(hi);
+    let bestCount = hi;
+
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      const attempt = await prune(mid);
+      if (Buffer.byteLength(attempt, 'utf8') <= maxBytes) {
+        best = attempt;
+        bestCount = mid;
+        hi = mid;
+      } else {
+        lo = mid + 1;
+      }
+    }
+
+    const finalSize = Buffer.byteLength(best, 'utf8');
+
+    return {
+      css: best,
+      report: {
+        met: finalSize <= maxBytes,
+        originalSize,
+        size: finalSize,
+        prunedRules: bestCount,
+        prunedSelectors: pruneOrder.slice(0, Math.min(bestCount, 50)).map(candidate => candidate.selector)
+      }
+    };
+  }
+
+  /**
+   * Reduce a selector to one querySelectorAll can evaluate, e.g.
+   * "a:hover::after" -> "a", ".menu > :focus" -> ".menu > *"
+   */
+  toMatchableSelector(selector) {
+    let probe = selector.replace(NON_MATCHING_PSEUDO, '').trim();
+    if (!probe || /[>+~]$/.test(probe)) {
+      probe = `${probe} *`.trim();
+    }
+    return probe;
+  }
+
+  /**
+   * Turn per-viewport variants into the final critical CSS
+   *
+   * Merges the variants (shared rules once, the rest wrapped in their media
+   * query), optimizes the result, enforces the byte budget on it and on each
+   * variant, and builds the complementary non-critical stylesheet.
+   *
+   * @param {Array<Object>} variants - [{ device, viewport, mediaQuery, css }]; css is pruned and size set in place
+   * @param {Object} [options]
+   * @param {number} [options.maxBytes=0] - Byte budget, 0 for none
+   * @param {Map} [options.ranks] - selector key -> importance, for the merged CSS
+   * @param {Object} [options.variantRanks] - viewport label -> importance Map (falls back to options.ranks)
+   * @param {Array<string>} [options.demote] - Media queries whose rules the budget prunes first, see enforceBudget()
+   * @param {Map} [options.stylesheets] - Full stylesheets (url -> text) for the non-critical stylesheet
+   * @param {boolean} [options.nonCritical=true] - false skips the non-critical stylesheet
+   * @param {Object} [options.urlOptions] - Passed to rewriteUrls()
+   * @param {boolean} [options.minify=true]
+   * @param {string} [options.url] - Page URL, for log messages
+   * @returns {Promise<Object>} { css, merge, budget, nonCriticalCss }
+   */
+  async finalizeVariants(variants, options = {}) {
+    const {
+      maxBytes = 0,
+      ranks = new Map(),
+      variantRanks = {},
+      demote = [],
+      stylesheets = new Map(),
+      nonCritical = true,
+      urlOptions = {},
+      minify = true,
+      url = null
+    } = options;
+
+    // Emit rules shared by every viewport once, wrap the rest per viewport
+    const { css: mergedCss, ...merge } = this.mergeViewportCSS(variants);
+
+    // Final optimization pass over the merged stylesheet
+    let css = mergedCss ? (await this.cleanCSS(mergedCss, { minify })).trim() : '';
+
+    // Enforce the byte budget on the combined CSS and on each variant
+    let budget = null;
+    if (maxBytes > 0 && css) {
+      const enforced = await this.enforceBudget(css, maxBytes, ranks, { minify, demote });
+      css = enforced.css;
+      budget = { maxBytes, ...enforced.report, variants: {} };
+
+      for (const variant of variants) {
+        const enforcedVariant = await this.enforceBudget(variant.css, maxBytes, variantRanks[variant.viewport] || ranks, { minify, demote });
+        variant.css = enforcedVariant.css;
+        budget.variants[variant.viewport] = {
+          met: enforcedVariant.report.met,
+          prunedRules: enforcedVariant.report.prunedRules
+        };
+      }
+    }
+
+    for (const variant of variants) {
+      variant.size = Buffer.byteLength(variant.css, 'utf8');
+    }
+
+    // Everything in the page's stylesheets the critical CSS does not cover
+    let nonCriticalCss = null;
+    if (nonCritical && css && stylesheets.size > 0) {
+      try {
+        nonCriticalCss = await this.buildNonCriticalCSS(stylesheets, css, urlOptions, {
+          wrappers: variants.map(variant => variant.mediaQuery),
+          minify
+        });
+      } catch (restError) {
+        this.logger.warn(`⚠️ Failed to build non-critical CSS`, { url, error: restError.message });
+      }
+    }
+
+    return { css, merge, budget, nonCriticalCss };
+  }
+
+  /**
+   * Merge per-viewport CSS into one stylesheet without repeating rules.
+   *
+   * Rules are compared inside their conditional at-rule context, so a rule in
+   * `@media (min-width: 750px)` used by two viewports counts as shared just
+   * like a top-level one; the at-rule wrappers are rebuilt around it on output.
+   * A rule used by every viewport, or by any unwrapped viewport, is emitted once
+   * unwrapped. Other rules are wrapped in the media queries of the viewports that
+   * used them (joined into one query list). Output follows first-seen order, and
+   * adjacent rules sharing a media query and context are grouped into one block.
+   *
+   * bytesSaved compares the output with every viewport's CSS wrapped as-is,
+   * before any optimization, so it measures the deduplication alone.
+   *
+   * @param {Array<Object>} entries - [{ css, mediaQuery }] in viewport order
+   * @returns {Object} { css, sharedRules, uniqueRules, bytesSaved }
+   */
+  mergeViewportCSS(entries) {
+    const rules = new Map(); // key -> { context, text, mediaQueries: Set, unwrapped, uses }
+    const wrap = (mediaQuery, items) => {
+      const css = this.emitInContext(items);
+      return mediaQuery ? `@media ${mediaQuery}{\n${css}\n}` : css;
+    };
+    const unmerged = [];
+
+    for (const entry of entries) {
+      const seen = new Set(); // uses counts viewports, not occurrences
+      const items = this.flattenRules(safeParser(entry.css));
+
+      for (const item of items) {
+        const key = [...item.context, item.text].join('|');
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        if (!rules.has(key)) {
+          rules.set(key, { ...item, mediaQueries: new Set(), unwrapped: false, uses: 0 });
+        }
+        const rule = rules.get(key);
+        rule.uses++;
+        if (entry.mediaQuery) {
+          rule.mediaQueries.add(entry.mediaQuery);
+        } else {
+          rule.unwrapped = true;
+        }
+      }
+
+      if (items.length > 0) unmerged.push(wrap(entry.mediaQuery, items));
+    }
+
+    let sharedRules = 0;
+    let uniqueRules = 0;
+    const blocks = []; // [{ mediaQuery, items }]
+
+    for (const rule of rules.values()) {
+      const shared = rule.unwrapped || rule.uses >= entries.length;
+      if (rule.uses > 1) sharedRules++; else uniqueRules++;
+
+      const mediaQuery = shared ? null : [...rule.mediaQueries].join(', ');
+      const last = blocks[blocks.length - 1];
+      if (last && last.mediaQuery === mediaQuery) {
+        last.items.push(rule);
+      } else {
+        blocks.push({ mediaQuery, items: [rule] });
+      }
+    }
+
+    const css = blocks.map(block => wrap(block.mediaQuery, block.items)).join('\n');
+    const bytesSaved = Math.max(0, Buffer.byteLength(unmerged.join('\n'), 'utf8') - Buffer.byteLength(css, 'utf8'));
+
+    return { css, sharedRules, uniqueRules, bytesSaved };
+  }
+
+  /**
+   * List the rules of a stylesheet with the conditional at-rules enclosing
+   * them, e.g. { context: ['@media (min-width:750px)'], text: '.a{color:red}' }.
+   * Other at-rules (@font-face, @keyframes, @layer statements) are single items.
+   *
+   * @param {Object} container - PostCSS root or at-rule
+   * @param {Array<string>} [context] - Enclosing at-rule headers
+   * @returns {Array<Object>} [{ context, text }] in source order
+   */
+  flattenRules(container, context = []) {
+    const items = [];
+
+    container.each(node => {
+      if (node.type === 'comment') return;
+
+      if (node.type === 'atrule' && node.nodes && CONDITIONAL_AT_RULES.has(node.name.toLowerCase().replace(/^-[a-z]+-/, ''))) {
+        const header = `@${node.name} ${node.params}`.replace(/\s+/g, ' ').trim();
+        items.push(...this.flattenRules(node, [...context, header]));
+        return;
+      }
+
+      // Statements (@layer a, b) print without their semicolon
+      const text = node.toString().trim().replace(/^(@[^{]*[^;{])$/, '$1;');
+      if (text) items.push({ context, text });
+    });
+
+    return items;
+  }
+
+  /**
+   * Print flattenRules() items, reopening their at-rule context; adjacent
+   * items sharing enclosing at-rules share the block
+   *
+   * @param {Array<Object>} items - [{ context, text }]
+   * @returns {string} CSS
+   */
+  emitInContext(items) {
+    const out = [];
+    let open = [];
+
+    for (const { context, text } of items) {
+      let common = 0;
+      while (common < open.length && common < context.length && open[common] === context[common]) common++;
+
+      out.push('}'.repeat(open.length - common));
+      context.slice(common).forEach(header => out.push(`${header}{`));
+      out.push(text);
+      open = context;
+    }
+    out.push('}'.repeat(open.length));
+
+    return out.filter(Boolean).join('\n');
+  }
+
+  /**
+   * PostCSS plugins used to optimize critical CSS.
+   *
+   * cssnano works on the AST, so strings, content values, calc() and attribute
+   * selectors are never rewritten as plain text. On top of whitespace and comment
+   * removal it merges adjacent rules with identical selectors (mergeRules), drops
+   * empty rules (discardEmpty) and shortens values (colormin, convertValues, ...).
+   * Declaration sorting is disabled so the source cascade order is preserved.
+   *
+   * @param {Object} options
+   * @param {boolean} [options.minify=true] - false returns no plugins (parse + reprint only)
+   * @returns {Array} PostCSS plugins
+   */
+  getOptimizerPlugins({ minify = true } = {}) {
+    if (!minify) return [];
+
+    return [
+      cssnano({
+        preset: ['default', {
+          discardComments: { removeAll: true },
+          cssDeclarationSorter: false
+        }]
+      })
+    ];
   }
 
   /**
    * Clean and optimize CSS using PostCSS
+   *
+   * @param {string} css - CSS to optimize
+   * @param {Object} [options] - See getOptimizerPlugins()
+   * @returns {Promise<string>} Optimized CSS (raw CSS if optimization fails)
    */
-  async cleanCSS(css) {
+  async cleanCSS(css, options = {}) {
     try {
-      const result = await postcss([]).process(css, { 
+      const result = await postcss(this.getOptimizerPlugins(options)).process(css, { 
         parser: safeParser,
         from: undefined 
       });
@@ -223,8 +1796,66 @@ class CSSProcessor {
     }
   }
 
+  /**
+   * Fill in defaults for a requested viewport list.
+   * Falls back to DEFAULT_VIEWPORTS when none are supplied.
+   *
+   * An entry may be a preset name ("iphone-14") or an object naming a `preset`
+   * whose fields it overrides. Without a preset, touch follows isMobile and the
+   * user agent is a phone/tablet UA for mobile viewports and the configured
+   * USER_AGENT for desktop ones.
+   *
+   * @param {Array<Object|string>} [viewports] - [{ preset?, width, height, deviceScaleFactor?, isMobile?, hasTouch?, userAgent?, mediaQuery?, device? }]
+   * @returns {Array<Object>} Normalized viewports
+   */
+  normalizeViewports(viewports) {
+    const list = Array.isArray(viewports) && viewports.length > 0 ? viewports : DEFAULT_VIEWPORTS;
+
+    return list.map(entry => {
+      const vp = typeof entry === 'string' ? { preset: entry } : entry;
+      const preset = vp.preset ? DEVICE_PRESETS[vp.preset] : null;
+
+      if (vp.preset && !preset) {
+        throw new Error(`Unknown device preset: ${vp.preset}`);
+      }
+
+      const width = parseInt(vp.width ?? preset?.width, 10);
+      const isMobile = typeof vp.isMobile === 'boolean' ? vp.isMobile : (preset?.isMobile ?? width <= 480);
+      const device = vp.device || preset?.device || this.getDeviceForWidth(width);
+
+      return {
+        width,
+        height: parseInt(vp.height ?? preset?.height, 10),
+        deviceScaleFactor: Number(vp.deviceScaleFactor ?? preset?.deviceScaleFactor) || 1,
+        isMobile,
+        hasTouch: typeof vp.hasTouch === 'boolean' ? vp.hasTouch : (preset?.hasTouch ?? isMobile),
+        userAgent: vp.userAgent || preset?.userAgent ||
+          (isMobile ? DEFAULT_MOBILE_USER_AGENTS[device] || DEFAULT_MOBILE_USER_AGENTS.mobile : appConfig.userAgent),
+        preset: vp.preset || null,
+        // undefined = derive from width, null/'' = emit unwrapped
+        mediaQuery: vp.mediaQuery,
+        device
+      };
+    });
+  }
+
+  /**
+   * Device class a viewport width belongs to (used to label CSS variants)
+   */
+  getDeviceForWidth(width) {
+    if (width <= 480) return 'mobile';
+    if (width <= 1024) return 'tablet';
+    return 'desktop';
+  }
+
+  /**
+   * Media query a viewport's CSS is wrapped in.
+   * An explicit `mediaQuery` on the viewport always wins (null or '' means unwrapped).
+   */
   getMediaQueryForViewport(vp) {
+    if (vp.mediaQuery !== undefined) return vp.mediaQuery || null;
     if (vp.width <= 480) return 'only screen and (max-width: 480px)';
+    if (vp.width <= 1024) return 'only screen and (min-width: 481px) and (max-width: 1024px)';
     return null;
   }
 
@@ -0,0 +1,124 @@
+// src/services/CriticalCssStore.js
+import CriticalCssModel from '../models/CriticalCssModel.js';
+import BunnyCDNService from '../services/BunnyCDNService.js';
+import LoggerService from '../logs/Logger.js';
+
+/**
+ * CriticalCssStore
+ *
+ * Stores a generateCriticalCSS() result: uploads the critical and
+ * non-critical stylesheets to Bunny CDN and saves them, with the variants
+ * and sampling, on the CriticalCss record. Shared by the generate and
+ * regenerate endpoints and the Shopify generate-all job, so every path
+ * stores the same fields.
+ */
+class CriticalCssStore {
+  constructor() {
+    this.logger = LoggerService.child({ service: 'CriticalCssStore' });
+  }
+
+  /**
+   * Save a generation result
+   * On failure nothing new is stored; with an existing record the attempt and
+   * error are recorded on it, keeping its CSS.
+   *
+   * @param {Object} result - Result from generateCriticalCSS service
+   * @param {string} shop - Shop domain
+   * @param {string} template - Template name
+   * @param {string} url - URL used for generation
+   * @param {Object|null} existing - Existing record (for regeneration fallback)
+   * @returns {Promise<Object|null>} Saved record or null on failure
+   */
+  async save(result, shop, template, url, existing = null) {
+    const {
+      css = '',
+      variants = [],
+      nonCriticalCss = null,
+      error: generationError = null,
+      metadata = {},
+      success: topSuccess,
+    } = result;
+    const success = topSuccess === true || metadata?.success === true;
+
+    if (!success || !css) {
+      this.logger.error(`CSS generation failed for ${shop}/${template}`, {
+        error: generationError || metadata.error || 'Unknown failure',
+        url,
+      });
+
+      if (existing) {
+        await CriticalCssModel.upsertCriticalCss({
+          shop,
+          template,
+          url,
+          critical_css: existing.critical_css,
+          variants: existing.variants,
+          metadata: {
+            ...existing.metadata,
+            lastAttemptAt: new Date().toISOString(),
+            error: generationError || metadata.error || 'Critical CSS generation failed',
+          },
+        });
+      }
+
+      return null;
+    }
+
+    this.logger.debug(`Generated ${css.length} bytes of CSS for ${shop}/${template}`);
+
+    // Upload to Bunny CDN
+    let cdnUrl = null;
+    try {
+      cdnUrl = await BunnyCDNService.uploadCSS(shop, template, css);
+      this.logger.info(`✅ Uploaded to Bunny CDN: ${cdnUrl}`, { shop, template });
+    } catch (cdnError) {
+      this.logger.warn(`⚠️ Failed to upload to Bunny CDN, continuing anyway`, {
+        shop,
+        template,
+        error: cdnError.message
+      });
+    }
+
+    // The non-critical stylesheet is uploaded under its own key
+    let nonCriticalCdnUrl = null;
+    if (nonCriticalCss) {
+      try {
+        nonCriticalCdnUrl = await BunnyCDNService.uploadCSS(shop, template, nonCriticalCss, 'non-critical');
+        this.logger.info(`✅ Uploaded non-critical CSS to Bunny CDN: ${nonCriticalCdnUrl}`, { shop, template });
+      } catch (cdnError) {
+        this.logger.warn(`⚠️ Failed to upload non-critical CSS to Bunny CDN, continuing anyway`, {
+          shop,
+          template,
+          error: cdnError.message
+        });
+      }
+    }
+
+    const saved = await CriticalCssModel.upsertCriticalCss({
+      shop,
+      template,
+      url,
+      critical_css: css,
+      variants,
+      cdn_url: cdnUrl,
+      non_critical_css: nonCriticalCss || '',
+      non_critical_cdn_url: nonCriticalCdnUrl,
+      sampling: metadata.samples
+        ? { urls: metadata.samples.urls, strategy: metadata.samples.strategy, threshold: metadata.samples.threshold }
+        : null,
+      generated: true,
+      metadata: {
+        ...metadata,
+        size: Buffer.byteLength(css, 'utf8'),
+        generatedAt: new Date().toISOString(),
+        error: null,
+        lastAttemptAt: new Date().toISOString(),
+      },
+    });
+
+    this.logger.info(`Successfully saved critical CSS for ${shop}/${template}`);
+    return saved;
+  }
+}
+
+export default new CriticalCssStore();
@@ -0,0 +1,171 @@
+// src/services/CriticalEngine.js
+import { generate } from 'critical';
+import safeParser from 'postcss-safe-parser';
+import LoggerService from '../logs/Logger.js';
+import CSSProcessor from '../services/CSSProcessor.js';
+
+// penthouse keeps the browser it renders with in module state, so jobs in this
+// process run one at a time
+let penthouseQueue = Promise.resolve();
+
+function runExclusive(task) {
+  const run = penthouseQueue.then(task);
+  penthouseQueue = run.catch(() => {});
+  return run;
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * CriticalEngine
+ *
+ * Extraction engine backed by the `critical` package (penthouse). Pages are
+ * loaded exactly as for the coverage engine (device emulation, request
+ * blocking, storefront password, readiness, overlay dismissal); only the rule
+ * selection differs: the rendered DOM and its full stylesheets are handed to
+ * penthouse, which keeps the rules whose elements render above the fold.
+ * Selector rules, dependencies, budget, viewport merging and the non-critical
+ * stylesheet are shared with CSSProcessor, so results have the same shape.
+ */
+class CriticalEngine extends CSSProcessor {
+  constructor() {
+    super();
+    this.logger = LoggerService.child({ service: 'CriticalEngine' });
+    this.engine = 'critical';
+  }
+
+  /**
+   * Pick the critical rules for one viewport with penthouse
+   *
+   * penthouse renders a static snapshot of the page (scripts stripped, all
+   * styles inlined) in an isolated context of the pooled browser. With
+   * aboveFold disabled the fold is moved to the bottom of the page.
+   *
+   * @param {Object} page - Puppeteer page, loaded and ready
+   * @param {Object} vp - Normalized viewport
+   * @param {Object} context - See CSSProcessor.extractViewportCSS()
+   * @returns {Promise<Object>} { css, sources: [{ type, url, css }], fold: { rulesKept, rulesDropped } | null }
+   */
+  async extractViewportCSS(page, vp, { cssCoverage, runtimeSources, urlOptions, documentUrl, aboveFold, foldMargin }) {
+    // Full stylesheets with absolute URLs, in document order
+    const sheets = [
+      ...cssCoverage.map(entry => {
+        const inline = !entry.url || entry.url === page.url();
+        return {
+          type: inline ? 'inline' : 'external',
+          url: inline ? null : entry.url,
+          css: this.rewriteUrls(entry.text || '', inline ? documentUrl : entry.url, urlOptions)
+        };
+      }),
+      ...runtimeSources.map(source => ({
+        ...source,
+        css: this.rewriteUrls(source.css, documentUrl, urlOptions)
+      }))
+    ].filter(sheet => sheet.css.trim().length > 0);
+
+    const fullCss = sheets.map(sheet => sheet.css).join('\n');
+    if (!fullCss.trim()) return { css: '', sources: [], fold: null };
+
+    const height = aboveFold
+      ? vp.height + foldMargin
+      : Math.max(vp.height, await page.evaluate(() => document.documentElement.scrollHeight));
+
+    const html = this.buildSnapshot(await page.content(), fullCss, documentUrl);
+    const browser = page.browser();
+
+    const css = await runExclusive(async () => {
+      const context = await browser.createBrowserContext();
+
+      // Only the isolated context is visible to penthouse, so it can neither
+      // reuse the page being extracted nor close the pooled browser
+      const penthouseBrowser = {
+        pages: () => context.pages(),
+        newPage: () => context.newPage(),
+        version: () => browser.version(),
+        close: async () => {}
+      };
+
+      try {
+        const result = await generate({
+          html,
+          width: vp.width,
+          height,
+          userAgent: vp.userAgent,
+          rebase: false,
+          penthouse: {
+            puppeteer: { getBrowser: () => penthouseBrowser },
+            unstableKeepBrowserAlive: true,
+            unstableKeepOpenPages: 0,
+            blockJSRequests: true,
+            renderWaitTime: 100
+          }
+        });
+        return result.css || '';
+      } finally {
+        await context.close().catch(() => {});
+      }
+    });
+
+    // Attribute the kept rules back to the stylesheets they came from
+    const kept = new Set();
+    const output = safeParser(css);
+    let rulesKept = 0;
+    output.walkRules(rule => {
+      if (rule.parent?.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+      rulesKept++;
+      rule.selectors.forEach(selector => kept.add(this.selectorKey(selector)));
+    });
+
+    let rulesTotal = 0;
+    safeParser(fullCss).walkRules(rule => {
+      if (rule.parent?.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+      rulesTotal++;
+    });
+
+    const sources = sheets
+      .map(sheet => ({
+        ...sheet,
+        css: this.pruneStylesheet(sheet.css, node =>
+          node.type === 'rule' && node.selectors.some(selector => kept.has(this.selectorKey(selector))))
+      }))
+      .filter(sheet => sheet.css.trim().length > 0);
+
+    return {
+      css,
+      sources,
+      fold: { rulesKept, rulesDropped: Math.max(0, rulesTotal - rulesKept) }
+    };
+  }
+
+  /**
+   * Static copy of a rendered page for penthouse: scripts and stylesheet
+   * references removed, the collected CSS inlined once, and a `<base>` so
+   * images and fonts resolve when loaded from a temporary file
+   *
+   * @param {string} html - Rendered page HTML (page.content())
+   * @param {string} css - Full CSS with absolute URLs
+   * @param {string} pageUrl - Page URL (no `<base>` for about:blank)
+   * @returns {string} Snapshot HTML
+   */
+  buildSnapshot(html, css, pageUrl) {
+    let snapshot = html
+      .replace(/<script\b[\s\S]*?<\/script\s*>/gi, '')
+      .replace(/<style\b[\s\S]*?<\/style\s*>/gi, '')
+      .replace(/<link\b[^>]*\brel\s*=\s*["']?[^"'>]*\b(?:stylesheet|preload)\b[^>]*>/gi, '')
+      .replace(/<base\b[^>]*>/gi, '');
+
+    const base = /^https?:/i.test(pageUrl) ? `<base href="${escapeAttribute(pageUrl)}">` : '';
+    const head = `${base}<style>${css.replace(/<\/style/gi, '<\\/style')}</style>`;
+    const match = snapshot.match(/<head\b[^>]*>/i);
+
+    snapshot = match
+      ? snapshot.replace(match[0], () => match[0] + head)
+      : `<head>${head}</head>${snapshot}`;
+
+    return snapshot;
+  }
+}
+
+export default CriticalEngine;
@@ -0,0 +1,119 @@
+// src/services/ExtractionEngines.js
+import LoggerService from '../logs/Logger.js';
+import CSSProcessor from '../services/CSSProcessor.js';
+import CriticalEngine from '../services/CriticalEngine.js';
+import SampleCombiner from '../services/SampleCombiner.js';
+import MediaEmulation from '../services/MediaEmulation.js';
+
+const DEFAULT_ENGINE = 'coverage';
+
+// Other names accepted for an engine
+const ENGINE_ALIASES = {
+  penthouse: 'critical'
+};
+
+/**
+ * ExtractionEngines
+ *
+ * Registry of critical CSS extraction engines, selected per request or per
+ * shop. Every engine takes the generateCriticalCSS() config and returns the
+ * same { css, variants, nonCriticalCss, metadata, error, errorCode } shape,
+ * with metadata.engine naming the engine used.
+ *
+ * - coverage: rules the browser's CSS coverage reports as used, filtered to
+ *             the fold (CSSProcessor)
+ * - critical: the `critical` package / penthouse (CriticalEngine)
+ */
+class ExtractionEngines {
+  constructor() {
+    this.logger = LoggerService.child({ service: 'ExtractionEngines' });
+    this.engines = {
+      coverage: new CSSProcessor(),
+      critical: new CriticalEngine()
+    };
+  }
+
+  /**
+   * Canonical engine names
+   * @returns {Array<string>}
+   */
+  get names() {
+    return Object.keys(this.engines);
+  }
+
+  /**
+   * Resolve an engine name or alias
+   * @param {string} name - e.g. "coverage", "critical", "penthouse"
+   * @returns {string|null} Canonical name, or null when unknown
+   */
+  resolveName(name) {
+    const key = String(name || '').trim().toLowerCase();
+    const canonical = ENGINE_ALIASES[key] || key;
+    return this.engines[canonical] ? canonical : null;
+  }
+
+  /**
+   * Validate an engine name from a request body or settings update
+   * @param {*} engine - Value from the request body
+   * @returns {string|null} Error message, or null when valid (or not supplied)
+   */
+  validate(engine) {
+    if (engine === undefined || engine === null) return null;
+
+    if (typeof engine !== 'string' || !this.resolveName(engine)) {
+      return `engine must be one of: ${[...this.names, ...Object.keys(ENGINE_ALIASES)].join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate critical CSS with the engine named in config.engine
+   *
+   * @param {Object} config - Options for generateCriticalCSS(), plus:
+   * @param {string} [config.engine='coverage'] - Engine name or alias
+   * @param {Array<string>} [config.urls] - Several sample pages to combine instead of config.url, see SampleCombiner
+   * @param {Array<string>} [config.emulateMedia] - Extra emulated media passes ('dark', 'reduced-motion'), see MediaEmulation
+   * @returns {Promise<Object>} { css, variants, nonCriticalCss, metadata, error, errorCode }
+   */
+  async generateCriticalCSS(config) {
+    const name = this.resolveName(config.engine || DEFAULT_ENGINE);
+
+    if (!name) {
+      this.logger.warn(`❌ Unknown extraction engine`, { engine: config.engine, url: config.url });
+      return {
+        css: '',
+        metadata: {
+          success: false,
+          partial: false,
+          duration: 0,
+          url: config.url,
+          engine: config.engine,
+          viewportsTested: 0,
+          successfulViewports: [],
+          failedViewports: []
+        },
+        error: `Unknown extraction engine: ${config.engine}`
+      };
+    }
+
+    this.logger.debug(`Extracting with the ${name} engine`, {
+      url: config.url,
+      samples: config.urls?.length,
+      emulateMedia: config.emulateMedia
+    });
+
+    const engine = this.engines[name];
+    const run = (runConfig) => (Array.isArray(runConfig.urls) && runConfig.urls.length > 0
+      ? SampleCombiner.generate(engine, runConfig)
+      : engine.generateCriticalCSS(runConfig));
+
+    if (Array.isArray(config.emulateMedia) && config.emulateMedia.length > 0) {
+      return MediaEmulation.generate(engine, config, run);
+    }
+
+    return run(config);
+  }
+}
+
+export default new ExtractionEngines();
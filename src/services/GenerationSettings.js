@@ -0,0 +1,131 @@
+// src/services/GenerationSettings.js
+
+import ShopSettingsModel from '../models/ShopSettingsModel.js';
+import SecretCipher from '../services/SecretCipher.js';
+import LoggerService from '../logs/Logger.js';
+
+const WAIT_UNTIL_EVENTS = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+const READINESS_FIELDS = ['waitUntil', 'timeout', 'delay', 'waitForSelector', 'fonts', 'scroll'];
+
+/**
+ * GenerationSettings
+ *
+ * Resolves the stored generation settings for a shop/template into options
+ * for CSSProcessor.generateCriticalCSS(). Shop-wide and template settings
+ * both come from ShopSettingsModel; list settings (selector patterns) are
+ * combined, scalar settings are overridden by the template. Readiness is a template-only setting; request blocking,
+ * overlay dismissal, the extraction engine, emulated media passes and the
+ * storefront password are shop-only.
+ */
+class GenerationSettings {
+  constructor() {
+    this.logger = LoggerService.child({ service: 'GenerationSettings' });
+  }
+
+  /**
+   * Resolve generation options for a shop/template
+   *
+   * @param {string} shop - Shop domain
+   * @param {string} template - Template name
+   * @returns {Promise<Object>} { selectors: { include, exclude }, maxBytes, readiness, requestBlocking, overlays, engine, emulateMedia, storefrontPassword }
+   */
+  async resolve(shop, template) {
+    const shopSettings = await ShopSettingsModel.findByShop(shop);
+
+    const templateSettings = shopSettings?.templates?.find(entry => entry.template === template.toLowerCase()) || {};
+    const shopSelectors = shopSettings?.selectors || {};
+    const templateSelectors = templateSettings.selectors || {};
+
+    const resolved = {
+      selectors: {
+        include: [...new Set([...(shopSelectors.include || []), ...(templateSelectors.include || [])])],
+        exclude: [...new Set([...(shopSelectors.exclude || []), ...(templateSelectors.exclude || [])])]
+      },
+      maxBytes: templateSettings.maxBytes ?? shopSettings?.maxBytes ?? null,
+      readiness: Object.fromEntries(
+        Object.entries(templateSettings.readiness || {})
+          .filter(([field, value]) => READINESS_FIELDS.includes(field) && value !== null && value !== undefined)
+      ),
+      requestBlocking: shopSettings?.requestBlocking || {},
+      overlays: shopSettings?.overlays || {},
+      engine: shopSettings?.engine || null,
+      emulateMedia: shopSettings?.emulateMedia || [],
+      storefrontPassword: shopSettings?.hasStorefrontPassword ? await this.getStorefrontPassword(shop) : null
+    };
+
+    this.logger.debug(`Resolved generation settings for ${shop}/${template}`, {
+      include: resolved.selectors.include.length,
+      exclude: resolved.selectors.exclude.length,
+      maxBytes: resolved.maxBytes,
+      engine: resolved.engine
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Decrypt a shop's storefront password
+   * A password that can't be decrypted (missing or rotated key) is logged and
+   * treated as absent, so generation then fails with STOREFRONT_PASSWORD_REQUIRED.
+   *
+   * @param {string} shop - Shop domain
+   * @returns {Promise<string|null>} Plaintext password, or null
+   */
+  async getStorefrontPassword(shop) {
+    const encrypted = await ShopSettingsModel.getStorefrontPassword(shop);
+    if (!encrypted) return null;
+
+    try {
+      return SecretCipher.decrypt(encrypted);
+    } catch (err) {
+      this.logger.error(`Could not decrypt storefront password for ${shop}`, { error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Validate a readiness strategy from a request body or settings update
+   * Shape: { waitUntil?, timeout?, delay?, waitForSelector?, fonts?, scroll? }
+   *
+   * @param {*} readiness - Value from the request body
+   * @returns {string|null} Error message, or null when valid (or not supplied)
+   */
+  validateReadiness(readiness) {
+    if (readiness === undefined || readiness === null) return null;
+
+    if (typeof readiness !== 'object' || Array.isArray(readiness)) {
+      return 'readiness must be an object';
+    }
+
+    const unknown = Object.keys(readiness).filter(field => !READINESS_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return `Unsupported readiness fields: ${unknown.join(', ')}. Supported: ${READINESS_FIELDS.join(', ')}`;
+    }
+
+    const { waitUntil, timeout, delay, waitForSelector, fonts, scroll } = readiness;
+
+    if (waitUntil !== undefined && !WAIT_UNTIL_EVENTS.includes(waitUntil)) {
+      return `readiness.waitUntil must be one of: ${WAIT_UNTIL_EVENTS.join(', ')}`;
+    }
+    if (timeout !== undefined && (!Number.isInteger(timeout) || timeout < 1000 || timeout > 120000)) {
+      return 'readiness.timeout must be an integer between 1000 and 120000 (ms)';
+    }
+    if (delay !== undefined && (!Number.isInteger(delay) || delay < 0 || delay > 30000)) {
+      return 'readiness.delay must be an integer between 0 and 30000 (ms)';
+    }
+    if (waitForSelector !== undefined && waitForSelector !== null &&
+        (typeof waitForSelector !== 'string' || !waitForSelector.trim() || waitForSelector.length > 500)) {
+      return 'readiness.waitForSelector must be a non-empty selector of at most 500 characters, or null';
+    }
+    if (fonts !== undefined && typeof fonts !== 'boolean') {
+      return 'readiness.fonts must be a boolean';
+    }
+    if (scroll !== undefined && typeof scroll !== 'boolean') {
+      return 'readiness.scroll must be a boolean';
+    }
+
+    return null;
+  }
+}
+
+export default new GenerationSettings();
@@ -0,0 +1,164 @@
+// src/services/HtmlInliner.js
+import LoggerService from '../logs/Logger.js';
+import config from '../config/config.js';
+
+const MAX_HTML_BYTES = 5 * 1024 * 1024;
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * Read an attribute from a single start tag
+ * @param {string} tag - Raw start tag, e.g. `<link rel="stylesheet" href="/a.css">`
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value, '' for valueless attributes, null when absent
+ */
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}(?:\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+)))?(?=[\\s/>])`, 'i'));
+  if (!match) return null;
+  return match[1] ?? match[2] ?? match[3] ?? '';
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+class HtmlInliner {
+  constructor() {
+    this.logger = LoggerService.child({ service: 'HtmlInliner' });
+  }
+
+  /**
+   * Fetch a page's HTML the way a storefront visitor would get it
+   * Redirects are followed by hand so every hop can be checked against
+   * allowedHosts; a redirect elsewhere fails the fetch.
+   *
+   * @param {string} url - Page URL
+   * @param {Object} [options]
+   * @param {string} [options.userAgent] - User-Agent header
+   * @param {number} [options.timeout=30000] - Request timeout in milliseconds, for all hops together
+   * @param {Array<string>} [options.allowedHosts] - Hostnames redirects may lead to (default: any)
+   * @returns {Promise<{html: string, finalUrl: string}>}
+   */
+  async fetchPage(url, options = {}) {
+    const { userAgent = config.userAgent, timeout = 30000, allowedHosts = null } = options;
+    const signal = AbortSignal.timeout(timeout);
+
+    let currentUrl = url;
+    let response;
+
+    for (let hops = 0; ; hops++) {
+      response = await fetch(currentUrl, {
+        headers: {
+          'User-Agent': userAgent,
+          'Accept': 'text/html,application/xhtml+xml'
+        },
+        redirect: 'manual',
+        signal
+      });
+
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) break;
+
+      if (hops >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects fetching ${url}`);
+      }
+
+      const next = new URL(location, currentUrl);
+      if (!['http:', 'https:'].includes(next.protocol) ||
+          (allowedHosts && !allowedHosts.includes(next.hostname.toLowerCase()))) {
+        throw new Error(`${currentUrl} redirects to ${next.href}, outside ${allowedHosts ? allowedHosts.join(', ') : 'http(s)'}`);
+      }
+      currentUrl = next.href;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url}: HTTP ${response.status}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!/html/i.test(contentType)) {
+      throw new Error(`Expected an HTML page at ${url}, got ${contentType || 'unknown content type'}`);
+    }
+
+    const html = await response.text();
+    if (Buffer.byteLength(html, 'utf8') > MAX_HTML_BYTES) {
+      throw new Error(`Page at ${url} exceeds ${MAX_HTML_BYTES} bytes`);
+    }
+
+    return { html, finalUrl: currentUrl };
+  }
+
+  /**
+   * Inline critical CSS into a page and defer its stylesheets
+   *
+   * The critical CSS goes in a `<style>` block just before the first stylesheet
+   * or style in `<head>` (so it keeps its place in the cascade and charset/viewport
+   * meta stay first). Every `<link rel="stylesheet">` outside `<noscript>` becomes
+   * `<link rel="preload" as="style" onload="...">` with a `<noscript>` fallback.
+   *
+   * @param {string} html - Original page HTML
+   * @param {string} css - Critical CSS to inline
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Page URL; adds a `<base>` so relative assets resolve when the HTML is served elsewhere
+   * @returns {{html: string, deferredStylesheets: Array<string>, inlinedBytes: number}}
+   */
+  inlineCriticalCss(html, css, options = {}) {
+    const { baseUrl = null } = options;
+    const deferredStylesheets = [];
+
+    // Leave <noscript> content alone; it is already the no-JS fallback
+    const preserved = [];
+    let output = html.replace(/<noscript\b[\s\S]*?<\/noscript\s*>/gi, (block) => {
+      preserved.push(block);
+      return `\u0000noscript${preserved.length - 1}\u0000`;
+    });
+
+    output = output.replace(/<link\b[^>]*>/gi, (tag) => {
+      const rel = (getAttribute(tag, 'rel') || '').toLowerCase().split(/\s+/);
+      const href = getAttribute(tag, 'href');
+      if (!rel.includes('stylesheet') || rel.includes('alternate') || !href) return tag;
+
+      deferredStylesheets.push(href);
+
+      const media = getAttribute(tag, 'media');
+      const mediaAttr = media ? ` media="${escapeAttribute(media)}"` : '';
+      const hrefAttr = `href="${escapeAttribute(href)}"`;
+
+      return `<link rel="preload" ${hrefAttr} as="style"${mediaAttr} onload="this.onload=null;this.rel='stylesheet'">` +
+        `<noscript><link rel="stylesheet" ${hrefAttr}${mediaAttr}></noscript>`;
+    });
+
+    const styleTag = `<style data-critical-css>${css.replace(/<\/style/gi, '<\\/style')}</style>`;
+    const headEnd = output.search(/<\/head\s*>/i);
+    const headStart = output.search(/<head\b[^>]*>/i);
+
+    if (headEnd !== -1) {
+      const head = output.slice(0, headEnd);
+      const firstStyle = head.search(/<link\b[^>]*rel=["']?preload[^>]*as=["']?style|<style\b/i);
+      const insertAt = firstStyle > headStart ? firstStyle : headEnd;
+      output = output.slice(0, insertAt) + styleTag + output.slice(insertAt);
+    } else {
+      output = styleTag + output;
+    }
+
+    if (baseUrl && !/<base\b[^>]*href/i.test(output)) {
+      const match = output.match(/<head\b[^>]*>/i);
+      const baseTag = `<base href="${escapeAttribute(baseUrl)}">`;
+      output = match
+        ? output.replace(match[0], () => match[0] + baseTag)
+        : baseTag + output;
+    }
+
+    output = output.replace(/\u0000noscript(\d+)\u0000/g, (_, index) => preserved[Number(index)]);
+
+    this.logger.debug(`Inlined critical CSS and deferred ${deferredStylesheets.length} stylesheets`);
+
+    return {
+      html: output,
+      deferredStylesheets,
+      inlinedBytes: Buffer.byteLength(css, 'utf8')
+    };
+  }
+}
+
+export default new HtmlInliner();
@@ -0,0 +1,142 @@
+// src/services/LiquidSnippetBuilder.js
+import LoggerService from '../logs/Logger.js';
+
+const SNIPPET_NAME = 'critical-css';
+
+/**
+ * Escape a value for a double-quoted HTML attribute
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+class LiquidSnippetBuilder {
+  constructor() {
+    this.logger = LoggerService.child({ service: 'LiquidSnippetBuilder' });
+  }
+
+  /**
+   * Key a stored template name the way the snippet rebuilds it from Liquid:
+   * `template.directory` + `/` for templates in a subdirectory, then
+   * `template.name`, plus `.` + `template.suffix` for alternate templates.
+   * "product.custom.json" -> "product.custom", "customers/account" -> "customers/account"
+   *
+   * @param {string} template - Stored template name
+   * @returns {string|null} Liquid key, or null when it can't be expressed safely
+   */
+  toLiquidKey(template) {
+    const key = String(template || '').replace(/\.json$/i, '');
+    return /^[a-zA-Z0-9_\-/]+(?:\.[a-zA-Z0-9_\-.]+)?$/.test(key) ? key : null;
+  }
+
+  /**
+   * Build a ready-to-install `snippets/critical-css.liquid`
+   *
+   * Each template with CSS gets a `when` branch emitting either an inline
+   * `<style>` (wrapped in `{% raw %}` so Liquid leaves the CSS alone) or a CDN
+   * `<link>`, plus its non-critical stylesheet deferred with preload/onload and a
+   * `<noscript>` fallback. A small script at the end applies any deferred
+   * stylesheet whose onload never fired (browsers without preload support).
+   *
+   * @param {string} shop - Shop domain (for the header comment)
+   * @param {Array<Object>} templates - [{ template, css, cdnUrl, nonCriticalCdnUrl }]
+   * @param {Object} [options]
+   * @param {string} [options.mode='inline'] - 'inline' or 'link' (link falls back to inline without a CDN URL)
+   * @returns {{snippet: string, templates: Array<Object>}} Snippet source and what each template emits
+   */
+  build(shop, templates, options = {}) {
+    const { mode = 'inline' } = options;
+    const branches = [];
+    const summary = [];
+
+    for (const entry of templates) {
+      const key = this.toLiquidKey(entry.template);
+      if (!key || (!entry.css && !entry.cdnUrl)) continue;
+      if (branches.some(branch => branch.key === key)) continue;
+
+      const output = mode === 'link' && entry.cdnUrl ? 'link' : (entry.css ? 'inline' : 'link');
+      const lines = [];
+
+      if (output === 'inline') {
+        const css = entry.css.replace(/\{%-?\s*endraw\s*-?%\}/gi, '').replace(/<\/style/gi, '<\\/style');
+        lines.push(`<style data-critical-css="${escapeAttribute(key)}">{% raw %}${css}{% endraw %}</style>`);
+      } else {
+        lines.push(`<link rel="stylesheet" href="${escapeAttribute(entry.cdnUrl)}" data-critical-css="${escapeAttribute(key)}">`);
+      }
+
+      if (entry.nonCriticalCdnUrl) {
+        const href = escapeAttribute(entry.nonCriticalCdnUrl);
+        lines.push(`<link rel="preload" href="${href}" as="style" data-critical-defer onload="this.onload=null;this.rel='stylesheet'">`);
+        lines.push(`<noscript><link rel="stylesheet" href="${href}"></noscript>`);
+      }
+
+      branches.push({ key, lines });
+      summary.push({
+        template: entry.template,
+        key,
+        output,
+        deferred: Boolean(entry.nonCriticalCdnUrl)
+      });
+    }
+
+    // Stable output so re-exports diff cleanly
+    branches.sort((a, b) => a.key.localeCompare(b.key));
+
+    const suffixed = branches.filter(branch => branch.key.includes('.')).map(branch => `'${branch.key}'`);
+
+    const snippet = [
+      '{%- comment -%}',
+      `  Critical CSS for ${shop}, generated ${new Date().toISOString()}.`,
+      `  Do not edit by hand; re-export after regenerating critical CSS.`,
+      '',
+      `  Install: render '${SNIPPET_NAME}' inside <head> of layout/theme.liquid,`,
+      '  before the theme stylesheets.',
+      '',
+      '  Theme stylesheets can then be deferred with the same pattern: a',
+      '  rel="preload" as="style" link carrying data-critical-defer and',
+      `  onload="this.onload=null;this.rel='stylesheet'", plus a noscript fallback.`,
+      '{%- endcomment -%}',
+      '{%- liquid',
+      '  assign critical_css_base = template.name',
+      '  if template.directory != blank',
+      "    assign critical_css_base = template.directory | append: '/' | append: template.name",
+      '  endif',
+      '  assign critical_css_key = critical_css_base',
+      '  if template.suffix != blank',
+      "    assign critical_css_suffixed = critical_css_base | append: '.' | append: template.suffix",
+      ...(suffixed.length > 0
+        ? [
+          '    case critical_css_suffixed',
+          `      when ${suffixed.join(', ')}`,
+          '        assign critical_css_key = critical_css_suffixed',
+          '    endcase'
+        ]
+        : []),
+      '  endif',
+      '-%}',
+      '{%- case critical_css_key -%}',
+      ...branches.flatMap(branch => [
+        `  {%- when '${branch.key}' -%}`,
+        ...branch.lines.map(line => `    ${line}`)
+      ]),
+      '{%- endcase -%}',
+      '<script>',
+      '  (function () {',
+      '    // Fallback for browsers that ignore onload on rel=preload',
+      '    var apply = function () {',
+      "      var links = document.querySelectorAll('link[rel=\"preload\"][as=\"style\"][data-critical-defer]');",
+      "      for (var i = 0; i < links.length; i++) links[i].rel = 'stylesheet';",
+      '    };',
+      "    if (document.readyState === 'complete') apply(); else window.addEventListener('load', apply);",
+      '  })();',
+      '</script>',
+      ''
+    ].join('\n');
+
+    this.logger.debug(`Built ${SNIPPET_NAME}.liquid for ${shop} with ${branches.length} templates`);
+
+    return { snippet, templates: summary };
+  }
+}
+
+export default new LiquidSnippetBuilder();
@@ -0,0 +1,248 @@
+// src/services/MediaEmulation.js
+import safeParser from 'postcss-safe-parser';
+import LoggerService from '../logs/Logger.js';
+
+/**
+ * User preference media features that can be emulated as extra passes.
+ * `feature` goes to page.emulateMediaFeatures(), `mediaQuery` wraps the CSS
+ * the pass adds.
+ */
+const MEDIA_PASSES = {
+  dark: {
+    feature: { name: 'prefers-color-scheme', value: 'dark' },
+    mediaQuery: '(prefers-color-scheme: dark)'
+  },
+  'reduced-motion': {
+    feature: { name: 'prefers-reduced-motion', value: 'reduce' },
+    mediaQuery: '(prefers-reduced-motion: reduce)'
+  }
+};
+
+// At-rules whose children are compared one by one; other at-rules
+// (@font-face, @keyframes, ...) are compared whole
+const CONTAINER_AT_RULES = /^(?:media|supports|layer|container|document|-moz-document)$/i;
+
+function normalize(text) {
+  return text.replace(/\s+/g, ' ').replace(/\s*([{}:;,()>+~])\s*/g, '$1').replace(/;}/g, '}').trim().toLowerCase();
+}
+
+function atRuleContext(context, atRule) {
+  return `${context}|@${atRule.name.toLowerCase()} ${normalize(atRule.params)}`;
+}
+
+/**
+ * Keys of every rule (and non-container at-rule) in a stylesheet, each
+ * prefixed with its at-rule context
+ */
+function collectKeys(container, context = '', keys = new Set()) {
+  container.each(node => {
+    if (node.type === 'comment') return;
+    if (node.type === 'atrule' && node.nodes && CONTAINER_AT_RULES.test(node.name)) {
+      collectKeys(node, atRuleContext(context, node), keys);
+      return;
+    }
+    keys.add(`${context}|${normalize(node.toString())}`);
+  });
+  return keys;
+}
+
+/**
+ * Remove every node whose key is in `keys`, then at-rules left empty
+ */
+function removeKnown(container, keys, context = '') {
+  container.each(node => {
+    if (node.type === 'comment') {
+      node.remove();
+      return;
+    }
+    if (node.type === 'atrule' && node.nodes && CONTAINER_AT_RULES.test(node.name)) {
+      removeKnown(node, keys, atRuleContext(context, node));
+      if (node.nodes.length === 0) node.remove();
+      return;
+    }
+    if (keys.has(`${context}|${normalize(node.toString())}`)) node.remove();
+  });
+}
+
+/**
+ * MediaEmulation
+ *
+ * Extra extraction passes with a user preference media feature emulated
+ * (`prefers-color-scheme: dark`, `prefers-reduced-motion: reduce`). Every
+ * pass renders the same pages as the base pass; per viewport, the rules a
+ * pass finds that the base pass did not are wrapped in the feature's media
+ * query and appended to the viewport's CSS. Themes that switch to a dark
+ * palette or drop animations from script (classes, inline custom
+ * properties) then get the right critical CSS on first paint as well.
+ *
+ * Passes run without a byte budget or non-critical stylesheet; both are
+ * applied to the combined CSS with the base pass's importance ranks, and the
+ * appended rules are pruned before any base rule. The result has the engine
+ * result shape, plus metadata.mediaEmulation.
+ */
+class MediaEmulation {
+  constructor() {
+    this.logger = LoggerService.child({ service: 'MediaEmulation' });
+  }
+
+  /**
+   * Pass names accepted in emulateMedia
+   * @returns {Array<string>}
+   */
+  get names() {
+    return Object.keys(MEDIA_PASSES);
+  }
+
+  /**
+   * Validate emulated media passes from a request body or settings update
+   *
+   * @param {*} emulateMedia - e.g. ['dark', 'reduced-motion']
+   * @returns {string|null} Error message, or null when valid (or not supplied)
+   */
+  validate(emulateMedia) {
+    if (emulateMedia === undefined || emulateMedia === null) return null;
+
+    if (!Array.isArray(emulateMedia) || emulateMedia.some(name => !MEDIA_PASSES[name])) {
+      return `emulateMedia must be an array of: ${this.names.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * CSS a pass adds over the base pass, wrapped in the pass's media query
+   *
+   * @param {string} baseCss - Base pass CSS for a viewport
+   * @param {string} passCss - Emulated pass CSS for the same viewport
+   * @param {string} mediaQuery - e.g. "(prefers-color-scheme: dark)"
+   * @returns {Object} { css, rules } - css is '' when the pass adds nothing
+   */
+  extraCSS(baseCss, passCss, mediaQuery) {
+    const root = safeParser(passCss);
+    removeKnown(root, collectKeys(safeParser(baseCss)));
+
+    let rules = 0;
+    root.walkRules(rule => {
+      if (!(rule.parent?.type === 'atrule' && /keyframes$/i.test(rule.parent.name))) rules++;
+    });
+
+    const extra = root.toString().trim();
+    return { css: extra ? `@media ${mediaQuery}{${extra}}` : '', rules };
+  }
+
+  /**
+   * Generate critical CSS with extra emulated media passes
+   *
+   * @param {CSSProcessor} engine - Extraction engine (for merging, budget and non-critical CSS)
+   * @param {Object} config - generateCriticalCSS() config, plus:
+   * @param {Array<string>} config.emulateMedia - Passes to add: 'dark', 'reduced-motion'
+   * @param {Function} run - (config) => Promise<result>, one extraction (single page or samples)
+   * @returns {Promise<Object>} { css, variants, nonCriticalCss, metadata, error, errorCode }
+   */
+  async generate(engine, config, run) {
+    const startTime = Date.now();
+    const names = [...new Set(config.emulateMedia)].filter(name => MEDIA_PASSES[name]);
+    const minify = config.minify !== false;
+    const maxBytes = Math.max(0, parseInt(config.maxBytes, 10) || 0);
+    const passConfig = {
+      ...config,
+      emulateMedia: undefined,
+      maxBytes: null,
+      nonCritical: false,
+      keepStylesheets: true
+    };
+
+    this.logger.info(`🌓 Generating critical CSS with emulated media`, { passes: names, engine: engine.engine });
+
+    // Only the base pass is ranked; the appended rules are pruned first anyway
+    const base = await run({ ...passConfig, rank: maxBytes > 0 });
+    if (!base.css) {
+      return { ...base, metadata: { ...base.metadata, mediaEmulation: { passes: [] } } };
+    }
+
+    const stylesheets = new Map(base.stylesheets || []);
+    const extras = new Map(); // viewport label -> appended media blocks
+    const passes = [];
+
+    for (const name of names) {
+      const { feature, mediaQuery } = MEDIA_PASSES[name];
+      const result = await run({ ...passConfig, rank: false, mediaFeatures: [feature] });
+
+      const rulesAdded = {};
+      for (const variant of base.variants) {
+        const found = result.variants?.find(entry => entry.viewport === variant.viewport);
+        if (!found) continue;
+
+        const extra = this.extraCSS(variant.css, found.css, mediaQuery);
+        rulesAdded[variant.viewport] = extra.rules;
+        if (extra.css) extras.set(variant.viewport, [...(extras.get(variant.viewport) || []), extra.css]);
+      }
+
+      for (const [url, text] of result.stylesheets || []) {
+        if (!stylesheets.has(url)) stylesheets.set(url, text);
+      }
+
+      passes.push({
+        name,
+        mediaQuery,
+        success: Boolean(result.css),
+        duration: result.metadata?.duration ?? null,
+        rulesAdded,
+        error: result.css ? null : (result.error || 'No CSS generated')
+      });
+    }
+
+    const variants = [];
+    for (const variant of base.variants) {
+      const added = extras.get(variant.viewport);
+      variants.push({
+        ...variant,
+        css: added ? (await engine.cleanCSS([variant.css, ...added].join('\n'), { minify })).trim() : variant.css
+      });
+    }
+
+    // The budget prunes by the base pass's ranks, the appended media rules first
+    const { css: criticalCss, merge, budget, nonCriticalCss } = await engine.finalizeVariants(variants, {
+      maxBytes,
+      ranks: base.ranks,
+      variantRanks: base.variantRanks,
+      demote: names.map(name => MEDIA_PASSES[name].mediaQuery),
+      stylesheets,
+      nonCritical: config.nonCritical !== false,
+      urlOptions: { keepProtocolRelative: config.keepProtocolRelativeUrls === true },
+      minify,
+      url: base.metadata?.url
+    });
+
+    const partial = Boolean(base.metadata?.partial) || passes.some(pass => !pass.success);
+
+    this.logger.info(`✅ Added ${passes.filter(pass => pass.success).length}/${names.length} emulated media passes`, {
+      size: Buffer.byteLength(criticalCss, 'utf8')
+    });
+
+    return {
+      css: criticalCss,
+      variants,
+      nonCriticalCss,
+      ...(config.keepStylesheets && { stylesheets, ranks: base.ranks, variantRanks: base.variantRanks }),
+      metadata: {
+        ...base.metadata,
+        success: Boolean(criticalCss),
+        partial: Boolean(criticalCss) && partial,
+        duration: Date.now() - startTime,
+        size: criticalCss.length,
+        variants: variants.map(({ device, viewport, size }) => ({ device, viewport, size })),
+        merge,
+        budget,
+        nonCriticalSize: nonCriticalCss ? Buffer.byteLength(nonCriticalCss, 'utf8') : 0,
+        stylesheets: [...stylesheets.keys()],
+        mediaEmulation: { passes }
+      },
+      error: criticalCss
+        ? (partial ? (base.error || 'Partial emulated media CSS generated') : null)
+        : 'Critical CSS is empty'
+    };
+  }
+}
+
+export default new MediaEmulation();
@@ -0,0 +1,135 @@
+// src/services/OverlayDismisser.js
+import LoggerService from '../logs/Logger.js';
+
+/**
+ * Overlays that open on load and cover the real above-the-fold content.
+ * `click` is tried first (so consent managers record a choice and stop
+ * re-opening), then whatever still matches `remove` is taken out of the DOM.
+ */
+const KNOWN_OVERLAYS = [
+  // Consent managers
+  { name: 'shopify-privacy-banner', click: '.shopify-pc__banner__btn-accept', remove: '#shopify-pc__banner, .shopify-pc__prefs' },
+  { name: 'onetrust', click: '#onetrust-accept-btn-handler', remove: '#onetrust-consent-sdk' },
+  { name: 'cookiebot', click: '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll', remove: '#CybotCookiebotDialog, #CybotCookiebotDialogBodyUnderlay' },
+  { name: 'cookieconsent', click: '.cc-window .cc-dismiss, .cc-window .cc-allow', remove: '.cc-window, .cc-revoke' },
+  { name: 'pandectes', click: '#pandectes-banner .cc-allow', remove: '#pandectes-banner' },
+  { name: 'consentmo', click: '#cookie-bar .cc-allow, .isense-cc-allow', remove: '#cookie-bar, .isense-cc-window' },
+  { name: 'termly', remove: '#termly-code-snippet-support' },
+  { name: 'usercentrics', remove: '#usercentrics-root' },
+
+  // Newsletter and marketing popups
+  { name: 'klaviyo', click: '.klaviyo-close-form, [aria-label="Close dialog"].needsclick', remove: '.kl-private-reset-css-Xuajs1[role="dialog"], .klaviyo-form[role="dialog"]' },
+  { name: 'privy', remove: '#privy-container, .privy-popup-container' },
+  { name: 'justuno', remove: '#ju_Con, .ju_Con' },
+  { name: 'omnisend', remove: '.omnisend-form-container, [id^="omnisend-form"]' },
+  { name: 'pop-convert', remove: '.poptin-popup, .popup-convert' },
+  { name: 'theme-newsletter-popup', click: '.newsletter-popup .modal__close-button, .popup-modal__close', remove: 'newsletter-popup, .newsletter-popup, #NewsletterPopup, .popup-modal[open], modal-dialog[open].newsletter-modal' },
+
+  // Age gates
+  { name: 'age-gate', click: '.age-gate__submit--yes, .agp__button--yes, #age-check-yes', remove: '.age-gate, #agp__root, #age-check-prompt, .age-verification' },
+
+  // Any other visible modal dialog open on load
+  { name: 'modal-dialog', remove: '[aria-modal="true"]:not([hidden])' }
+];
+
+// Classes themes and apps put on <html>/<body> to lock scrolling behind a modal
+const SCROLL_LOCK_CLASSES = ['overflow-hidden', 'no-scroll', 'modal-open', 'klaviyo-prevent-body-scrolling', 'age-gate-open'];
+
+class OverlayDismisser {
+  constructor() {
+    this.logger = LoggerService.child({ service: 'OverlayDismisser' });
+  }
+
+  /**
+   * Close or remove overlays on a loaded page
+   *
+   * Only visible matches count; hidden drawers and closed dialogs are left alone.
+   * Scroll locks are released when anything was dismissed.
+   *
+   * @param {Page} page - Puppeteer page after navigation and readiness
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled=true] - false skips dismissal
+   * @param {Array<string>} [options.selectors] - Extra (shop) selectors whose matches are removed
+   * @returns {Promise<Array<Object>>} [{ name, action: 'clicked' | 'removed', count }]
+   */
+  async dismiss(page, options = {}) {
+    if (options?.enabled === false) return [];
+
+    const custom = (options?.selectors || []).map(selector => ({ name: `custom:${selector}`, remove: selector }));
+
+    try {
+      const dismissed = await page.evaluate(async (patterns, lockClasses) => {
+        const isVisible = (el) => {
+          const style = getComputedStyle(el);
+          const rect = el.getBoundingClientRect();
+          return style.display !== 'none' && style.visibility !== 'hidden' &&
+            Number(style.opacity) > 0 && rect.width > 0 && rect.height > 0;
+        };
+
+        const query = (selector) => {
+          try {
+            return [...document.querySelectorAll(selector)];
+          } catch {
+            return []; // invalid (shop-supplied) selector
+          }
+        };
+
+        const results = [];
+
+        for (const pattern of patterns) {
+          if (pattern.click) {
+            const buttons = query(pattern.click).filter(isVisible);
+            if (buttons.length > 0) {
+              buttons[0].click();
+              results.push({ name: pattern.name, action: 'clicked', count: 1 });
+              await new Promise(resolve => setTimeout(resolve, 300));
+            }
+          }
+
+          const overlays = query(pattern.remove).filter(isVisible);
+          if (overlays.length > 0) {
+            overlays.forEach(el => el.remove());
+            results.push({ name: pattern.name, action: 'removed', count: overlays.length });
+          }
+        }
+
+        if (results.length > 0) {
+          for (const el of [document.documentElement, document.body]) {
+            el.classList.remove(...lockClasses);
+            if (getComputedStyle(el).overflow === 'hidden') el.style.overflow = 'visible';
+          }
+        }
+
+        return results;
+      }, [...KNOWN_OVERLAYS, ...custom], SCROLL_LOCK_CLASSES);
+
+      if (dismissed.length > 0) {
+        this.logger.debug(`Dismissed overlays`, { overlays: dismissed.map(entry => `${entry.name}:${entry.action}`) });
+      }
+
+      return dismissed;
+    } catch (err) {
+      // A navigation triggered by a click, or a page that closed; capture continues
+      this.logger.warn(`⚠️ Overlay dismissal failed, continuing`, { error: err.message });
+      return [];
+    }
+  }
+
+  /**
+   * Fold per-page results into a running summary keyed by name + action
+   *
+   * @param {Array<Object>} total - Accumulated results (mutated)
+   * @param {Array<Object>} dismissed - Results from dismiss()
+   * @returns {Array<Object>} total
+   */
+  merge(total, dismissed) {
+    for (const entry of dismissed) {
+      const existing = total.find(item => item.name === entry.name && item.action === entry.action);
+      if (existing) existing.count += entry.count;
+      else total.push({ ...entry });
+    }
+    return total;
+  }
+}
+
+export default new OverlayDismisser();
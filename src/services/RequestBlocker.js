@@ -0,0 +1,186 @@
+// src/services/RequestBlocker.js
+import LoggerService from '../logs/Logger.js';
+
+/**
+ * Third-party hosts blocked by default: analytics, tag managers, ad/tracking
+ * pixels, review widgets, chat apps and marketing popups. A host matches when it
+ * equals an entry or is a subdomain of it.
+ */
+const DEFAULT_BLOCKED_DOMAINS = [
+  // Analytics, tag managers, session recording
+  'google-analytics.com',
+  'googletagmanager.com',
+  'analytics.google.com',
+  'doubleclick.net',
+  'googleadservices.com',
+  'googlesyndication.com',
+  'hotjar.com',
+  'clarity.ms',
+  'fullstory.com',
+  'segment.com',
+  'segment.io',
+  'mixpanel.com',
+  'heap.io',
+  'luckyorange.com',
+  // Social / ad pixels
+  'connect.facebook.net',
+  'facebook.com',
+  'analytics.tiktok.com',
+  'ct.pinterest.com',
+  's.pinimg.com',
+  'sc-static.net',
+  'bat.bing.com',
+  'snap.licdn.com',
+  'static.ads-twitter.com',
+  'criteo.com',
+  'criteo.net',
+  // Review widgets
+  'judge.me',
+  'yotpo.com',
+  'stamped.io',
+  'okendo.io',
+  'loox.io',
+  'reviews.io',
+  'trustpilot.com',
+  // Chat and helpdesk
+  'tidio.co',
+  'tidiochat.com',
+  'gorgias.chat',
+  'intercom.io',
+  'intercomcdn.com',
+  'zopim.com',
+  'zdassets.com',
+  'livechatinc.com',
+  'crisp.chat',
+  // Marketing popups and email capture
+  'klaviyo.com',
+  'privy.com',
+  'justuno.com',
+  'omnisend.com',
+  'attn.tv',
+  'postscript.io'
+];
+
+/**
+ * Resource types that never affect critical CSS
+ */
+const DEFAULT_BLOCKED_RESOURCE_TYPES = ['media', 'websocket', 'eventsource', 'manifest', 'texttrack', 'ping'];
+
+/**
+ * Lowercase a list of host names and drop empty entries, protocols and paths
+ */
+function normalizeDomains(domains = []) {
+  return domains
+    .map(domain => String(domain).trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/:].*$/, ''))
+    .filter(Boolean);
+}
+
+class RequestBlocker {
+  constructor() {
+    this.logger = LoggerService.child({ service: 'RequestBlocker' });
+  }
+
+  /**
+   * Build the effective blocklist from the defaults and shop overrides
+   *
+   * @param {Object} [overrides] - Shop's requestBlocking settings
+   * @param {boolean} [overrides.enabled=true] - false disables interception entirely
+   * @param {Array<string>} [overrides.blockDomains] - Extra hosts to block
+   * @param {Array<string>} [overrides.allowDomains] - Default hosts to let through
+   * @param {Array<string>} [overrides.resourceTypes] - Replaces the default blocked resource types
+   * @returns {Object} { enabled, domains, resourceTypes }
+   */
+  resolve(overrides = {}) {
+    const allow = new Set(normalizeDomains(overrides?.allowDomains));
+    const domains = [...new Set([...DEFAULT_BLOCKED_DOMAINS, ...normalizeDomains(overrides?.blockDomains)])]
+      .filter(domain => !allow.has(domain));
+
+    return {
+      enabled: overrides?.enabled !== false,
+      domains,
+      resourceTypes: Array.isArray(overrides?.resourceTypes)
+        ? overrides.resourceTypes
+        : DEFAULT_BLOCKED_RESOURCE_TYPES
+    };
+  }
+
+  /**
+   * Enable request interception on a page and abort matching requests
+   *
+   * Navigation requests and requests to the page's own host are never blocked.
+   * Call before page.goto(); the returned stats object fills in as the page loads.
+   *
+   * @param {Page} page - Puppeteer page
+   * @param {Object} blocklist - Result of resolve()
+   * @param {string} pageUrl - URL about to be loaded
+   * @returns {Promise<Object>} Live stats { blocked, byResourceType, byDomain }
+   */
+  async attach(page, blocklist, pageUrl) {
+    const stats = { blocked: 0, byResourceType: {}, byDomain: {} };
+    if (!blocklist?.enabled) return stats;
+
+    let pageHost = null;
+    try {
+      pageHost = new URL(pageUrl).hostname.toLowerCase();
+    } catch {
+      // Invalid URLs fail at navigation anyway
+    }
+
+    const domains = blocklist.domains || [];
+    const resourceTypes = new Set(blocklist.resourceTypes || []);
+
+    const blockedDomain = (host) => domains.find(domain => host === domain || host.endsWith(`.${domain}`));
+
+    await page.setRequestInterception(true);
+
+    page.on('request', (request) => {
+      // Another handler already resolved this request
+      if (request.isInterceptResolutionHandled()) return;
+
+      let host = '';
+      try {
+        host = new URL(request.url()).hostname.toLowerCase();
+      } catch {
+        // data:, blob: and similar; nothing to block
+      }
+
+      const resourceType = request.resourceType();
+      const isFirstParty = host === pageHost;
+      const domain = !isFirstParty && host ? blockedDomain(host) : null;
+      const blockType = !request.isNavigationRequest() && resourceTypes.has(resourceType);
+
+      if ((domain && !request.isNavigationRequest()) || blockType) {
+        stats.blocked++;
+        stats.byResourceType[resourceType] = (stats.byResourceType[resourceType] || 0) + 1;
+        if (domain) stats.byDomain[domain] = (stats.byDomain[domain] || 0) + 1;
+
+        request.abort('blockedbyclient').catch(() => {});
+        return;
+      }
+
+      request.continue().catch(() => {});
+    });
+
+    return stats;
+  }
+
+  /**
+   * Fold per-page stats into a running total
+   *
+   * @param {Object} total - Accumulated stats (mutated)
+   * @param {Object} stats - Stats from attach()
+   * @returns {Object} total
+   */
+  merge(total, stats) {
+    total.blocked += stats.blocked;
+    for (const [type, count] of Object.entries(stats.byResourceType)) {
+      total.byResourceType[type] = (total.byResourceType[type] || 0) + count;
+    }
+    for (const [domain, count] of Object.entries(stats.byDomain)) {
+      total.byDomain[domain] = (total.byDomain[domain] || 0) + count;
+    }
+    return total;
+  }
+}
+
+export default new RequestBlocker();
@@ -0,0 +1,436 @@
+// src/services/SampleCombiner.js
+import safeParser from 'postcss-safe-parser';
+import LoggerService from '../logs/Logger.js';
+import RequestBlocker from '../services/RequestBlocker.js';
+import OverlayDismisser from '../services/OverlayDismisser.js';
+
+const SAMPLE_STRATEGIES = ['union', 'intersection', 'threshold'];
+const DEFAULT_THRESHOLD = 50;
+const MAX_SAMPLES = 10;
+
+// Rules on these selectors carry custom properties every sample needs
+const ROOT_SELECTOR = /^(?::root|html|:host)$/i;
+
+// Error codes no other sample can get past (locked storefront)
+const FATAL_CODES = new Set(['STOREFRONT_PASSWORD_REQUIRED', 'STOREFRONT_PASSWORD_REJECTED']);
+
+// Weight of the share of samples in a selector's budget rank: small enough to
+// only break ties between equally important selectors
+const SHARE_TIEBREAK = 0.001;
+
+/**
+ * At-rule context of a node, e.g. "@media (min-width:750px)|@supports (display:grid)"
+ */
+function contextOf(node) {
+  const chain = [];
+  for (let parent = node.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+    if (parent.type === 'atrule') {
+      chain.unshift(`@${parent.name.toLowerCase()} ${parent.params.toLowerCase().replace(/\s+/g, ' ').replace(/\s*([:(),])\s*/g, '$1').trim()}`);
+    }
+  }
+  return chain.join('|');
+}
+
+function isKeyframeStep(rule) {
+  return rule.parent?.type === 'atrule' && /keyframes$/i.test(rule.parent.name);
+}
+
+/**
+ * SampleCombiner
+ *
+ * Generates critical CSS for a template from several sample pages (e.g. a
+ * product with variant pickers, one with a video, one sold out) and combines
+ * the per-sample results:
+ *
+ * - union:        every rule used on any sample
+ * - intersection: only rules used on every sample
+ * - threshold:    rules used on at least `threshold`% of the samples
+ *
+ * Samples are extracted with the selected engine one after another, without a
+ * byte budget or non-critical stylesheet; both are applied to the combined
+ * CSS. The budget prunes by the best importance any sample measured for a
+ * selector; on ties, selectors used on fewer samples go first. The result has
+ * the engine result shape, plus metadata.samples.
+ */
+class SampleCombiner {
+  constructor() {
+    this.logger = LoggerService.child({ service: 'SampleCombiner' });
+  }
+
+  /**
+   * Validate sample URLs and strategy from a request body
+   *
+   * @param {*} urls - Array of sample page URLs
+   * @param {*} strategy - 'union' | 'intersection' | 'threshold'
+   * @param {*} threshold - Percentage of samples for 'threshold' (1-100)
+   * @returns {string|null} Error message, or null when valid (or not supplied)
+   */
+  validate(urls, strategy, threshold) {
+    if (urls !== undefined && urls !== null) {
+      if (!Array.isArray(urls) || urls.length === 0 || urls.length > MAX_SAMPLES) {
+        return `urls must be an array of 1 to ${MAX_SAMPLES} sample page URLs`;
+      }
+
+      const invalid = urls.find(url => {
+        try {
+          return !['http:', 'https:'].includes(new URL(url).protocol);
+        } catch {
+          return true;
+        }
+      });
+      if (invalid !== undefined) {
+        return `Invalid sample URL: ${invalid}. Must be a valid http/https URL`;
+      }
+    }
+
+    if (strategy !== undefined && strategy !== null && !SAMPLE_STRATEGIES.includes(strategy)) {
+      return `sampleStrategy must be one of: ${SAMPLE_STRATEGIES.join(', ')}`;
+    }
+
+    if (threshold !== undefined && threshold !== null &&
+        (!Number.isFinite(threshold) || threshold <= 0 || threshold > 100)) {
+      return 'sampleThreshold must be a percentage greater than 0 and at most 100';
+    }
+
+    return null;
+  }
+
+  /**
+   * Fill in a combine strategy
+   *
+   * @param {string} [strategy='union']
+   * @param {number} [threshold=50] - Only used by 'threshold'
+   * @returns {Object} { type, threshold }
+   */
+  resolveStrategy(strategy, threshold) {
+    const type = SAMPLE_STRATEGIES.includes(strategy) ? strategy : 'union';
+    return {
+      type,
+      threshold: type === 'threshold' ? (Number.isFinite(threshold) ? threshold : DEFAULT_THRESHOLD) : null
+    };
+  }
+
+  /**
+   * Number of samples a rule must be used on to be kept
+   *
+   * @param {Object} strategy - Result of resolveStrategy()
+   * @param {number} samples - Samples that produced CSS
+   * @returns {number}
+   */
+  minSamples(strategy, samples) {
+    if (strategy.type === 'intersection') return samples;
+    if (strategy.type === 'threshold') return Math.min(samples, Math.max(1, Math.ceil((strategy.threshold / 100) * samples)));
+    return 1;
+  }
+
+  /**
+   * Combine one viewport's CSS from several samples
+   *
+   * Selectors are counted once per sample, in their at-rule context. Selectors
+   * used on fewer than `minCount` samples are removed; :root/html/:host rules,
+   * @font-face and @keyframes are kept and left to the dependency pass.
+   *
+   * @param {CSSProcessor} engine - Engine the samples were extracted with
+   * @param {Array<string>} parts - CSS per sample
+   * @param {number} minCount - Samples a selector must be used on
+   * @returns {Object} { css, rulesTotal, rulesKept, shares: Map(selector key -> share of samples) }
+   */
+  combineParts(engine, parts, minCount) {
+    const counts = new Map();
+
+    for (const part of parts) {
+      const seen = new Set();
+      safeParser(part).walkRules(rule => {
+        if (isKeyframeStep(rule)) return;
+        const context = contextOf(rule);
+        rule.selectors.forEach(selector => seen.add(`${context}|${engine.selectorKey(selector)}`));
+      });
+      seen.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    }
+
+    const root = safeParser(parts.join('\n'));
+    const kept = new Set();
+
+    root.walkRules(rule => {
+      if (isKeyframeStep(rule)) return;
+      if (rule.selectors.every(selector => ROOT_SELECTOR.test(selector.trim()))) return;
+
+      const context = contextOf(rule);
+      const remaining = rule.selectors.filter(selector => (counts.get(`${context}|${engine.selectorKey(selector)}`) || 0) >= minCount);
+
+      if (remaining.length === 0) {
+        rule.remove();
+      } else {
+        if (remaining.length < rule.selectors.length) rule.selectors = remaining;
+        remaining.forEach(selector => kept.add(`${context}|${engine.selectorKey(selector)}`));
+      }
+    });
+
+    root.walkAtRules(atRule => {
+      if (atRule.nodes && atRule.nodes.length === 0) atRule.remove();
+    });
+
+    // Share of samples using each selector, for budget pruning
+    const shares = new Map();
+    for (const [key, count] of counts) {
+      const selectorKey = key.slice(key.lastIndexOf('|') + 1);
+      shares.set(selectorKey, Math.max(count / parts.length, shares.get(selectorKey) ?? 0));
+    }
+
+    return { css: root.toString(), rulesTotal: counts.size, rulesKept: kept.size, shares };
+  }
+
+  /**
+   * Budget ranks for combined CSS: the best importance any sample measured for
+   * a selector (see CSSProcessor.rankSelectors()), plus its share of samples
+   * as a tiebreak. Selectors no sample ranked count as 0.5, like in
+   * CSSProcessor.enforceBudget().
+   *
+   * @param {Array<Map>} sampleRanks - Per sample: selector key -> importance
+   * @param {Map} shares - selector key -> share of samples, from combineParts()
+   * @returns {Map} selector key -> rank
+   */
+  combineRanks(sampleRanks, shares) {
+    const best = new Map();
+    for (const ranks of sampleRanks) {
+      for (const [key, score] of ranks) {
+        best.set(key, Math.max(score, best.get(key) ?? -Infinity));
+      }
+    }
+
+    const combined = new Map();
+    for (const key of new Set([...best.keys(), ...shares.keys()])) {
+      combined.set(key, (best.get(key) ?? 0.5) + (shares.get(key) ?? 0) * SHARE_TIEBREAK);
+    }
+    return combined;
+  }
+
+  /**
+   * Generate and combine critical CSS for several sample pages of a template
+   *
+   * @param {CSSProcessor} engine - Extraction engine
+   * @param {Object} config - generateCriticalCSS() config, plus:
+   * @param {Array<string>} config.urls - Sample page URLs
+   * @param {string} [config.sampleStrategy='union'] - 'union' | 'intersection' | 'threshold'
+   * @param {number} [config.sampleThreshold=50] - Percentage of samples for 'threshold'
+   * @returns {Promise<Object>} { css, variants, nonCriticalCss, metadata, error, errorCode }
+   */
+  async generate(engine, config) {
+    const startTime = Date.now();
+    const urls = [...new Set(config.urls)].slice(0, MAX_SAMPLES);
+    const strategy = this.resolveStrategy(config.sampleStrategy, config.sampleThreshold);
+    const minify = config.minify !== false;
+    const maxBytes = Math.max(0, parseInt(config.maxBytes, 10) || 0);
+    const urlOptions = { keepProtocolRelative: config.keepProtocolRelativeUrls === true };
+
+    const sampleStats = [];
+    const successful = [];
+
+    this.logger.info(`🧪 Generating critical CSS from ${urls.length} samples`, { strategy: strategy.type, engine: engine.engine });
+
+    for (const url of urls) {
+      const result = await engine.generateCriticalCSS({
+        ...config,
+        url,
+        urls: undefined,
+        maxBytes: null,
+        rank: maxBytes > 0 || config.rank === true,
+        nonCritical: false,
+        keepStylesheets: true
+      });
+
+      sampleStats.push({
+        url,
+        success: Boolean(result.css),
+        partial: Boolean(result.metadata?.partial),
+        duration: result.metadata?.duration ?? null,
+        size: result.css ? Buffer.byteLength(result.css, 'utf8') : 0,
+        successfulViewports: result.metadata?.successfulViewports || [],
+        failedViewports: result.metadata?.failedViewports || [],
+        error: result.css ? null : (result.error || 'No CSS generated')
+      });
+
+      // Every other sample would hit the same locked storefront
+      if (FATAL_CODES.has(result.errorCode)) {
+        return { ...result, metadata: { ...result.metadata, samples: this.summarize(urls, strategy, sampleStats) } };
+      }
+
+      if (result.css) successful.push(result);
+    }
+
+    if (successful.length === 0) {
+      return {
+        css: '',
+        metadata: {
+          success: false,
+          partial: false,
+          duration: Date.now() - startTime,
+          url: urls[0],
+          engine: engine.engine,
+          input: 'url',
+          viewportsTested: 0,
+          successfulViewports: [],
+          failedViewports: [],
+          samples: this.summarize(urls, strategy, sampleStats)
+        },
+        error: 'No critical CSS generated for any sample'
+      };
+    }
+
+    // Combine each viewport across the samples that produced it
+    const labels = [...new Set(successful.flatMap(result => result.variants.map(variant => variant.viewport)))];
+    const variants = [];
+    const ranks = new Map();
+    const variantRanks = {};
+    const rules = {};
+
+    for (const label of labels) {
+      const withLabel = successful.filter(result => result.variants.some(variant => variant.viewport === label));
+      const found = withLabel.map(result => result.variants.find(variant => variant.viewport === label));
+      const combined = this.combineParts(engine, found.map(variant => variant.css), this.minSamples(strategy, found.length));
+      const resolved = engine.resolveDependencies(combined.css, found.map(variant => ({ css: variant.css, baseUrl: null })), urlOptions);
+      const css = (await engine.cleanCSS(resolved.css, { minify })).trim();
+
+      rules[label] = { total: combined.rulesTotal, kept: combined.rulesKept, samples: found.length };
+      variantRanks[label] = this.combineRanks(
+        withLabel.map(result => result.variantRanks?.[label] || new Map()),
+        combined.shares
+      );
+      for (const [key, rank] of variantRanks[label]) {
+        ranks.set(key, Math.max(rank, ranks.get(key) ?? 0));
+      }
+
+      if (css) {
+        variants.push({ device: found[0].device, viewport: label, mediaQuery: found[0].mediaQuery, css });
+      }
+    }
+
+    // Stylesheets seen on any sample, first-seen order
+    const stylesheets = new Map();
+    for (const result of successful) {
+      for (const [url, text] of result.stylesheets || []) {
+        if (!stylesheets.has(url)) stylesheets.set(url, text);
+      }
+    }
+
+    // Budget prunes the least important selectors first
+    const { css: criticalCss, merge, budget, nonCriticalCss } = await engine.finalizeVariants(variants, {
+      maxBytes,
+      ranks,
+      variantRanks,
+      stylesheets,
+      nonCritical: config.nonCritical !== false,
+      urlOptions,
+      minify,
+      url: urls[0]
+    });
+
+    const metadata = this.aggregateMetadata(successful.map(result => result.metadata));
+    const successfulViewports = variants.map(variant => variant.viewport);
+    const failedViewports = [...new Set(sampleStats.flatMap(stat => [...stat.successfulViewports, ...stat.failedViewports]))]
+      .filter(label => !successfulViewports.includes(label));
+    const partial = sampleStats.some(stat => !stat.success || stat.partial) || failedViewports.length > 0;
+
+    this.logger.info(`✅ Combined ${successful.length}/${urls.length} samples`, {
+      strategy: strategy.type,
+      size: Buffer.byteLength(criticalCss, 'utf8')
+    });
+
+    return {
+      css: criticalCss,
+      variants,
+      nonCriticalCss,
+      ...(config.keepStylesheets && { stylesheets, ranks, variantRanks }),
+      metadata: {
+        success: Boolean(criticalCss),
+        partial: Boolean(criticalCss) && partial,
+        duration: Date.now() - startTime,
+        url: urls[0],
+        engine: engine.engine,
+        input: 'url',
+        viewportsTested: labels.length,
+        size: criticalCss.length,
+        successfulViewports,
+        failedViewports,
+        variants: variants.map(({ device, viewport, size }) => ({ device, viewport, size })),
+        merge,
+        ...metadata,
+        budget,
+        nonCriticalSize: nonCriticalCss ? Buffer.byteLength(nonCriticalCss, 'utf8') : 0,
+        stylesheets: [...stylesheets.keys()],
+        samples: { ...this.summarize(urls, strategy, sampleStats), rules }
+      },
+      error: criticalCss
+        ? (partial ? 'Partial sample CSS generated' : null)
+        : 'Combined critical CSS is empty (no rules met the sample strategy)'
+    };
+  }
+
+  /**
+   * Fold the per-sample metadata that adds up (fold filter, selector rules,
+   * dependencies, blocked requests, dismissed overlays, sources); readiness and
+   * devices are the same for every sample and taken from the first
+   *
+   * @param {Array<Object>} samples - metadata of the successful samples
+   * @returns {Object}
+   */
+  aggregateMetadata(samples) {
+    const foldFilter = { ...samples[0].foldFilter, rulesKept: 0, rulesDropped: 0, viewports: {} };
+    const selectorRules = { ...samples[0].selectorRules, forcedRules: 0, excludedRules: 0 };
+    const keyframes = new Set();
+    const fontFaces = new Set();
+    let customProperties = 0;
+    const requestBlocking = { enabled: samples[0].requestBlocking?.enabled !== false, blocked: 0, byResourceType: {}, byDomain: {} };
+    const overlays = { enabled: samples[0].overlays?.enabled !== false, dismissed: [] };
+    const sources = {};
+
+    samples.forEach((sample, index) => {
+      foldFilter.rulesKept += sample.foldFilter?.rulesKept || 0;
+      foldFilter.rulesDropped += sample.foldFilter?.rulesDropped || 0;
+      selectorRules.forcedRules += sample.selectorRules?.forcedRules || 0;
+      selectorRules.excludedRules += sample.selectorRules?.excludedRules || 0;
+      (sample.dependencies?.keyframes || []).forEach(name => keyframes.add(name));
+      (sample.dependencies?.fontFaces || []).forEach(family => fontFaces.add(family));
+      customProperties = Math.max(customProperties, sample.dependencies?.customProperties || 0);
+      if (sample.requestBlocking) RequestBlocker.merge(requestBlocking, sample.requestBlocking);
+      if (sample.overlays) OverlayDismisser.merge(overlays.dismissed, sample.overlays.dismissed || []);
+
+      // Keyed "<sample>:<viewport>", samples numbered from 1
+      for (const [viewport, entry] of Object.entries(sample.foldFilter?.viewports || {})) {
+        foldFilter.viewports[`${index + 1}:${viewport}`] = entry;
+      }
+      for (const [viewport, entry] of Object.entries(sample.sources || {})) {
+        sources[`${index + 1}:${viewport}`] = entry;
+      }
+    });
+
+    return {
+      foldFilter,
+      dependencies: { keyframes: [...keyframes], fontFaces: [...fontFaces], customProperties },
+      selectorRules,
+      readiness: samples[0].readiness,
+      requestBlocking,
+      overlays,
+      devices: samples[0].devices,
+      sources
+    };
+  }
+
+  /**
+   * metadata.samples: strategy and per-sample stats
+   */
+  summarize(urls, strategy, sampleStats) {
+    const succeeded = sampleStats.filter(stat => stat.success).length;
+    return {
+      urls,
+      strategy: strategy.type,
+      threshold: strategy.threshold,
+      minSamples: succeeded > 0 ? this.minSamples(strategy, succeeded) : null,
+      successful: succeeded,
+      failed: sampleStats.length - succeeded,
+      results: sampleStats
+    };
+  }
+}
+
+export default new SampleCombiner();
@@ -10,6 +10,8 @@
 import path from 'node:path';
 import fs from 'node:fs';
 import browserPool from '../services/BrowserPool.js';
+import RequestBlocker from '../services/RequestBlocker.js';
+import OverlayDismisser from '../services/OverlayDismisser.js';
 import LoggerService from '../logs/Logger.js';
 import config from '../config/config.js';
 
@@ -43,6 +45,78 @@ function ensureDirectoryExists(filePath) {
 }
 
 class ScreenshotService {
+  /**
+   * Set up a page and load a URL for capture
+   *
+   * With `criticalCss` the page is rendered the way it first paints with
+   * inlined critical CSS: every external stylesheet request is blocked and
+   * the critical CSS is added instead. Inline <style> blocks are kept.
+   *
+   * @param {Page} page - New Puppeteer page
+   * @param {string} url - Target webpage URL
+   * @param {Object} options - Same as captureScreenshot()
+   * @returns {Promise<Object>} { blockedRequests, dismissedOverlays }
+   */
+  static async loadPage(page, url, options = {}) {
+    const {
+      width = 1366,
+      height = 768,
+      deviceScaleFactor = 1,
+      isMobile = false,
+      hasTouch = false,
+      userAgent = config.USER_AGENT ?? DEFAULT_UA,
+      timeout = 30000,
+      waitUntil = 'networkidle2',
+      requestBlocking = undefined,
+      overlays = undefined,
+      criticalCss = null,
+      beforeNavigate = null,
+    } = options;
+
+    // Set viewport (with the device's mobile, touch and scale emulation)
+    await page.setViewport({ width, height, deviceScaleFactor, isMobile, hasTouch });
+    LoggerService.debug(`Viewport set to ${width}x${height}`, { url, deviceScaleFactor, isMobile, hasTouch });
+
+    // Set user agent
+    await page.setUserAgent(userAgent);
+
+    // Block analytics, widgets and chat apps (and, for critical-only renders, stylesheets)
+    let blocklist = RequestBlocker.resolve(requestBlocking);
+    if (criticalCss !== null) {
+      blocklist = {
+        enabled: true,
+        domains: blocklist.enabled ? blocklist.domains : [],
+        resourceTypes: [...(blocklist.enabled ? blocklist.resourceTypes : []), 'stylesheet']
+      };
+    }
+    const blockedRequests = await RequestBlocker.attach(page, blocklist, url);
+
+    // e.g. unlock a password-protected storefront
+    if (beforeNavigate) {
+      await beforeNavigate(page);
+    }
+
+    // Navigate to URL
+    LoggerService.debug(`Navigating to ${url} with timeout ${timeout}ms`);
+    await page.goto(url, {
+      waitUntil,
+      timeout
+    });
+
+    if (criticalCss !== null) {
+      await page.addStyleTag({ content: criticalCss });
+      await page.evaluate(() => Promise.race([
+        document.fonts.ready,
+        new Promise(resolve => setTimeout(resolve, 5000))
+      ]));
+    }
+
+    // Close cookie banners, newsletter popups and age gates
+    const dismissedOverlays = await OverlayDismisser.dismiss(page, overlays);
+
+    return { blockedRequests, dismissedOverlays };
+  }
+
   /**
    * Captures a screenshot of the specified URL
    *
@@ -50,10 +124,18 @@ class ScreenshotService {
    * @param {Object} options - Configuration options
    * @param {number} [options.width=1366] - Viewport width
    * @param {number} [options.height=768] - Viewport height
+   * @param {number} [options.deviceScaleFactor=1] - Device pixel ratio
+   * @param {boolean} [options.isMobile=false] - Emulate a mobile device (meta viewport, mobile layout)
+   * @param {boolean} [options.hasTouch=false] - Emulate touch support
    * @param {string} [options.userAgent] - Custom user agent (defaults to config)
    * @param {boolean} [options.fullPage=false] - Capture entire scrollable page
    * @param {string} [options.path] - File path to save screenshot (optional)
    * @param {number} [options.timeout=30000] - Navigation timeout in milliseconds
+   * @param {Object} [options.requestBlocking] - Shop overrides for the third-party blocklist
+   * @param {Object} [options.overlays] - { enabled, selectors } popup/banner dismissal before capture
+   * @param {string} [options.waitUntil='networkidle2'] - Navigation event to wait for
+   * @param {string|null} [options.criticalCss=null] - Render with only this CSS (external stylesheets blocked)
+   * @param {Function} [options.beforeNavigate] - async (page) => {}, run before loading the URL
    *
    * @returns {Promise<Object>} Structured result object
    */
@@ -62,10 +144,10 @@ class ScreenshotService {
     const {
       width = 1366,
       height = 768,
-      userAgent = config.USER_AGENT ?? DEFAULT_UA,
       fullPage = false,
       path: filePath = null,
       timeout = 30000,
+      criticalCss = null,
     } = options;
 
     const startTime = Date.now();
@@ -88,6 +170,8 @@ class ScreenshotService {
 
     let browser = null;
     let page = null;
+    let blockedRequests = { blocked: 0 };
+    let dismissedOverlays = [];
 
     try {
       // Acquire browser from pool
@@ -97,19 +181,8 @@ class ScreenshotService {
       // Create new page
       page = await browser.newPage();
 
-      // Set viewport
-      await page.setViewport({ width, height });
-      LoggerService.debug(`Viewport set to ${width}x${height}`, { url });
-
-      // Set user agent
-      await page.setUserAgent(userAgent);
-
-      // Navigate to URL
-      LoggerService.debug(`Navigating to ${url} with timeout ${timeout}ms`);
-      await page.goto(url, {
-        waitUntil: 'networkidle2',
-        timeout
-      });
+      // Load the page (critical CSS only, when given)
+      ({ blockedRequests, dismissedOverlays } = await this.loadPage(page, url, options));
 
       // Capture screenshot
       const screenshotOptions = {
@@ -167,6 +240,9 @@ class ScreenshotService {
           size: buffer ? buffer.length : (savedPath ? fs.statSync(savedPath).size : 0),
           dimensions: { width, height },
           fullPage,
+          criticalOnly: criticalCss !== null,
+          blockedRequests: blockedRequests.blocked,
+          dismissedOverlays,
           timestamp: new Date().toISOString(),
           duration: Date.now() - startTime
         }
@@ -0,0 +1,58 @@
+// src/services/SecretCipher.js
+import crypto from 'node:crypto';
+import config from '../config/config.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * SecretCipher
+ *
+ * Encrypts small secrets (storefront passwords) for storage with AES-256-GCM.
+ * Stored format: "v1:<iv>:<auth tag>:<ciphertext>", each part base64.
+ * The key is derived from SETTINGS_SECRET_KEY; without it secrets can't be
+ * stored or read, and both directions throw.
+ */
+class SecretCipher {
+  getKey() {
+    if (!config.secretKey) {
+      throw new Error('SETTINGS_SECRET_KEY is not configured; cannot store or read secrets');
+    }
+    return crypto.createHash('sha256').update(config.secretKey).digest();
+  }
+
+  /**
+   * @param {string} plaintext
+   * @returns {string} Encrypted value for storage
+   */
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+      .map(part => (typeof part === 'string' ? part : part.toString('base64')))
+      .join(':');
+  }
+
+  /**
+   * @param {string} stored - Value produced by encrypt()
+   * @returns {string} Plaintext
+   */
+  decrypt(stored) {
+    const [version, iv, tag, ciphertext] = String(stored).split(':');
+    if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+      throw new Error('Unrecognized encrypted secret format');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+}
+
+export default new SecretCipher();
@@ -0,0 +1,330 @@
+// src/services/StyleValidator.js
+import browserPool from '../services/BrowserPool.js';
+import ScreenshotService from '../services/ScreenshotService.js';
+import CSSProcessor from '../services/CSSProcessor.js';
+import LoggerService from '../logs/Logger.js';
+import config from '../config/config.js';
+
+/**
+ * Computed properties compared per element: the ones that move or restyle
+ * above-the-fold content when the full stylesheets arrive
+ */
+const COMPARED_PROPERTIES = [
+  'display',
+  'position',
+  'width',
+  'height',
+  'margin-top',
+  'margin-right',
+  'margin-bottom',
+  'margin-left',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'line-height',
+  'color',
+  'background-color'
+];
+
+// Pixel values closer than this count as equal (sub-pixel layout, rounding)
+const PX_TOLERANCE = 1;
+
+// Elements collected per render, in document order
+const MAX_ELEMENTS = 5000;
+
+// Mismatching elements reported (the rest are only counted)
+const MAX_REPORTED = 200;
+
+const DEFAULT_VIEWPORT = { width: 1366, height: 768 };
+
+/**
+ * Computed styles of every element in the document, keyed by a structural
+ * selector (body > :nth-child(n) > ...) that finds the same element in the
+ * other render. Runs in the page.
+ */
+function collectElements(properties, maxElements) {
+  const viewportHeight = window.innerHeight;
+  const viewportWidth = window.innerWidth;
+  const elements = [];
+
+  const keyOf = (el) => {
+    const parts = [];
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+      parts.unshift(`${node.tagName.toLowerCase()}:nth-child(${[...node.parentElement.children].indexOf(node) + 1})`);
+    }
+    return ['body', ...parts].join(' > ');
+  };
+
+  const describe = (el) => {
+    const id = el.id ? `#${el.id}` : '';
+    const classes = [...el.classList].slice(0, 3).map(name => `.${name}`).join('');
+    return `${el.tagName.toLowerCase()}${id}${classes}`;
+  };
+
+  for (const el of document.body.querySelectorAll('*')) {
+    if (elements.length >= maxElements) break;
+    if (['SCRIPT', 'STYLE', 'LINK', 'META', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName)) continue;
+
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+
+    elements.push({
+      key: keyOf(el),
+      selector: describe(el),
+      inViewport: rect.width > 0 && rect.height > 0 &&
+        rect.top < viewportHeight && rect.bottom > 0 && rect.left < viewportWidth && rect.right > 0,
+      styles: Object.fromEntries(properties.map(property => [property, style.getPropertyValue(property)]))
+    });
+  }
+
+  return elements;
+}
+
+/**
+ * StyleValidator
+ *
+ * Structural check of generated critical CSS. The page is rendered twice in
+ * one pooled browser, once with only the critical CSS (external stylesheets
+ * blocked, see ScreenshotService.loadPage()) and once with the full page.
+ * For every element in the first viewport of either render the layout
+ * affecting computed styles are compared; mismatching elements are reported
+ * with the differing values and the selectors of the full-page rules setting
+ * those properties that the critical render lacks. Matched rules are read
+ * over the DevTools protocol, so cross-origin stylesheets (theme CSS on
+ * cdn.shopify.com) are included.
+ */
+class StyleValidator {
+  constructor() {
+    this.logger = LoggerService.child({ service: 'StyleValidator' });
+    this.processor = new CSSProcessor();
+  }
+
+  /**
+   * Compare computed styles of above-the-fold elements between a
+   * critical-only render and a full render
+   *
+   * @param {Object} options
+   * @param {string} options.url - Page to render
+   * @param {string} options.css - Critical CSS to render with
+   * @param {Object|string} [options.viewport] - Device preset name or { preset?, width, height, deviceScaleFactor?, isMobile?, hasTouch?, userAgent? } (default: 1366x768 desktop)
+   * @param {Object} [options.requestBlocking] - Shop's requestBlocking settings
+   * @param {Object} [options.overlays] - Shop's overlay dismissal settings
+   * @param {string} [options.storefrontPassword] - Password for locked storefronts
+   * @returns {Promise<Object>} { success, viewport, properties, elementsCompared, elementsMismatched,
+   *                              unmatchedElements, mismatches, missingSelectors, checkedAt, duration, error }
+   */
+  async validate(options) {
+    const startTime = Date.now();
+    const { url, css, storefrontPassword = null } = options;
+    const { width, height, deviceScaleFactor, isMobile, hasTouch, userAgent } =
+      this.processor.normalizeViewports([options.viewport || DEFAULT_VIEWPORT])[0];
+    const timeout = config.puppeteer.timeout;
+    const viewport = `${width}x${height}`;
+
+    // Both renders emulate the device, so mobile layouts are compared as served
+    const loadOptions = {
+      width,
+      height,
+      deviceScaleFactor,
+      isMobile,
+      hasTouch,
+      userAgent,
+      timeout,
+      requestBlocking: options.requestBlocking,
+      overlays: options.overlays,
+      beforeNavigate: storefrontPassword
+        ? page => this.processor.unlockStorefront(page, url, storefrontPassword, { timeout })
+        : null
+    };
+
+    this.logger.info(`🔬 Validating computed styles`, { url, viewport });
+
+    let browser = null;
+    const pages = [];
+
+    try {
+      browser = await browserPool.acquire();
+
+      const criticalPage = await browser.newPage();
+      pages.push(criticalPage);
+      await ScreenshotService.loadPage(criticalPage, url, { ...loadOptions, criticalCss: css || '' });
+
+      const fullPage = await browser.newPage();
+      pages.push(fullPage);
+      await ScreenshotService.loadPage(fullPage, url, loadOptions);
+
+      const [criticalElements, fullElements] = await Promise.all([
+        criticalPage.evaluate(collectElements, COMPARED_PROPERTIES, MAX_ELEMENTS),
+        fullPage.evaluate(collectElements, COMPARED_PROPERTIES, MAX_ELEMENTS)
+      ]);
+
+      const comparison = this.compare(criticalElements, fullElements);
+      const reported = comparison.mismatches.slice(0, MAX_REPORTED);
+
+      // Rules the full render applies for the mismatching properties that the critical render doesn't
+      const targets = reported.map(entry => ({ key: entry.element, properties: entry.properties.map(diff => diff.property) }));
+      const criticalRules = await this.matchedSelectors(criticalPage, targets);
+      const fullRules = await this.matchedSelectors(fullPage, targets);
+
+      const missingCounts = new Map();
+      for (const entry of reported) {
+        // Compared by selectorKey(); the critical CSS was rewritten by the optimizer
+        const present = new Set((criticalRules[entry.element] || []).map(selector => this.processor.selectorKey(selector)));
+        entry.missingSelectors = (fullRules[entry.element] || []).filter(selector => !present.has(this.processor.selectorKey(selector)));
+        entry.missingSelectors.forEach(selector => missingCounts.set(selector, (missingCounts.get(selector) || 0) + 1));
+      }
+
+      const missingSelectors = [...missingCounts]
+        .sort((a, b) => b[1] - a[1])
+        .map(([selector, elements]) => ({ selector, elements }));
+
+      this.logger.info(`${comparison.mismatches.length ? '⚠️' : '✅'} ${comparison.mismatches.length}/${comparison.compared} above-the-fold elements differ`, {
+        url,
+        viewport,
+        missingSelectors: missingSelectors.length
+      });
+
+      return {
+        success: true,
+        viewport,
+        properties: COMPARED_PROPERTIES,
+        elementsCompared: comparison.compared,
+        elementsMismatched: comparison.mismatches.length,
+        unmatchedElements: comparison.unmatched,
+        mismatches: reported,
+        missingSelectors,
+        checkedAt: new Date().toISOString(),
+        duration: Date.now() - startTime,
+        error: null
+      };
+
+    } catch (err) {
+      this.logger.error(`Computed style validation failed`, { url, viewport, error: err.message });
+      return {
+        success: false,
+        viewport,
+        properties: COMPARED_PROPERTIES,
+        elementsCompared: 0,
+        elementsMismatched: 0,
+        unmatchedElements: 0,
+        mismatches: [],
+        missingSelectors: [],
+        checkedAt: new Date().toISOString(),
+        duration: Date.now() - startTime,
+        error: err.message
+      };
+
+    } finally {
+      for (const page of pages) {
+        await page.close().catch(() => {});
+      }
+      if (browser) {
+        await browserPool.release(browser);
+      }
+    }
+  }
+
+  /**
+   * Selectors of the author rules applying to each target element that set one
+   * of its mismatching properties (shorthands included, via their longhands);
+   * only the selectors of a list that match the element, as written in the source.
+   * Read with CSS.getMatchedStylesForNode, which sees rules in cross-origin
+   * stylesheets that document.styleSheets can't read, and only returns rules
+   * whose @media/@supports conditions currently apply.
+   *
+   * @param {Page} page - Loaded Puppeteer page
+   * @param {Array<Object>} targets - [{ key, properties }], key a collectElements() key
+   * @returns {Promise<Object>} element key -> [selector]
+   */
+  async matchedSelectors(page, targets) {
+    const client = await page.createCDPSession();
+    const result = {};
+
+    try {
+      await client.send('DOM.enable');
+      await client.send('CSS.enable');
+      const { root } = await client.send('DOM.getDocument', { depth: 0 });
+
+      for (const { key, properties } of targets) {
+        try {
+          const { nodeId } = await client.send('DOM.querySelector', { nodeId: root.nodeId, selector: key });
+          if (!nodeId) continue;
+
+          const { matchedCSSRules = [] } = await client.send('CSS.getMatchedStylesForNode', { nodeId });
+          const found = new Set();
+          for (const { rule, matchingSelectors = [] } of matchedCSSRules) {
+            if (rule.origin !== 'regular') continue; // user-agent and injected styles
+            const sets = rule.style.cssProperties.some(property =>
+              properties.includes(property.name) && property.value !== '' && !property.disabled && property.parsedOk !== false
+            );
+            if (sets) matchingSelectors.forEach(index => found.add(rule.selectorList.selectors[index].text));
+          }
+          result[key] = [...found];
+        } catch (err) {
+          this.logger.debug(`Could not read matched rules for ${key}`, { error: err.message });
+        }
+      }
+    } finally {
+      await client.detach().catch(() => {});
+    }
+
+    return result;
+  }
+
+  /**
+   * Pair the elements of both renders by key and diff their computed styles
+   * Elements count when they are in the first viewport of either render.
+   *
+   * @param {Array<Object>} criticalElements - collectElements() result of the critical-only render
+   * @param {Array<Object>} fullElements - collectElements() result of the full render
+   * @returns {Object} { compared, unmatched, mismatches: [{ element, selector, properties: [{ property, critical, full }] }] }
+   */
+  compare(criticalElements, fullElements) {
+    const critical = new Map(criticalElements.map(entry => [entry.key, entry]));
+    const full = new Map(fullElements.map(entry => [entry.key, entry]));
+    const keys = new Set([
+      ...criticalElements.filter(entry => entry.inViewport).map(entry => entry.key),
+      ...fullElements.filter(entry => entry.inViewport).map(entry => entry.key)
+    ]);
+
+    const mismatches = [];
+    let compared = 0;
+    let unmatched = 0;
+
+    for (const key of keys) {
+      const a = critical.get(key);
+      const b = full.get(key);
+
+      // Only in one DOM (content added by scripts, or over the element cap)
+      if (!a || !b) {
+        unmatched++;
+        continue;
+      }
+
+      compared++;
+      const properties = COMPARED_PROPERTIES
+        .filter(property => !this.sameValue(a.styles[property], b.styles[property]))
+        .map(property => ({ property, critical: a.styles[property], full: b.styles[property] }));
+
+      if (properties.length > 0) {
+        mismatches.push({ element: key, selector: b.selector, properties });
+      }
+    }
+
+    return { compared, unmatched, mismatches };
+  }
+
+  /**
+   * Whether two computed values are equal; pixel lengths within PX_TOLERANCE
+   */
+  sameValue(a, b) {
+    if (a === b) return true;
+
+    const px = /^(-?[\d.]+)px$/;
+    const matchA = px.exec(a || '');
+    const matchB = px.exec(b || '');
+    return Boolean(matchA && matchB && Math.abs(parseFloat(matchA[1]) - parseFloat(matchB[1])) <= PX_TOLERANCE);
+  }
+}
+
+export default new StyleValidator();
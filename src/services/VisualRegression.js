@@ -0,0 +1,212 @@
+// src/services/VisualRegression.js
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import browserPool from '../services/BrowserPool.js';
+import ScreenshotService from '../services/ScreenshotService.js';
+import CSSProcessor from '../services/CSSProcessor.js';
+import LoggerService from '../logs/Logger.js';
+import config from '../config/config.js';
+
+// Largest per-channel difference (0-255) still counted as the same pixel;
+// absorbs anti-aliasing and image decoding noise
+const PIXEL_TOLERANCE = 32;
+
+const DEFAULT_VIEWPORT = { width: 1366, height: 768 };
+
+/**
+ * VisualRegression
+ *
+ * Checks generated critical CSS by rendering the first viewport of a page
+ * twice, once with only the critical CSS (external stylesheets blocked, as
+ * on first paint) and once with the full page, and measuring how many pixels
+ * differ. The screenshots come from ScreenshotService; the comparison runs on
+ * a canvas in a pooled browser. A diff image (differing pixels in red over a
+ * faded copy of the full render) is written to config.visualRegression.diffDir.
+ */
+class VisualRegression {
+  constructor() {
+    this.logger = LoggerService.child({ service: 'VisualRegression' });
+    this.processor = new CSSProcessor();
+  }
+
+  /**
+   * Compare the critical-only render of a page against the full render
+   *
+   * @param {Object} options
+   * @param {string} options.shop - Shop domain (diff image location)
+   * @param {string} options.template - Template name (diff image location)
+   * @param {string} options.url - Page to render
+   * @param {string} options.css - Critical CSS to render with
+   * @param {Object|string} [options.viewport] - Device preset name or { preset?, width, height, deviceScaleFactor?, isMobile?, hasTouch?, userAgent? } (default: 1366x768 desktop)
+   * @param {number} [options.threshold] - Flag above this diff percentage (default: config.visualRegression.threshold)
+   * @param {Object} [options.requestBlocking] - Shop's requestBlocking settings
+   * @param {Object} [options.overlays] - Shop's overlay dismissal settings
+   * @param {string} [options.storefrontPassword] - Password for locked storefronts
+   * @returns {Promise<Object>} { success, score, diffPixels, totalPixels, threshold, flagged, diffImagePath, viewport, checkedAt, error }
+   */
+  async check(options) {
+    const { shop, template, url, css, storefrontPassword = null } = options;
+    const { width, height, deviceScaleFactor, isMobile, hasTouch, userAgent } =
+      this.processor.normalizeViewports([options.viewport || DEFAULT_VIEWPORT])[0];
+    const threshold = options.threshold ?? config.visualRegression.threshold;
+    const checkedAt = new Date().toISOString();
+    const timeout = config.puppeteer.timeout;
+
+    // Render as the device does: mobile layout, touch and pixel ratio too
+    const captureOptions = {
+      width,
+      height,
+      deviceScaleFactor,
+      isMobile,
+      hasTouch,
+      userAgent,
+      timeout,
+      requestBlocking: options.requestBlocking,
+      overlays: options.overlays,
+      beforeNavigate: storefrontPassword
+        ? page => this.processor.unlockStorefront(page, url, storefrontPassword, { timeout })
+        : null
+    };
+
+    const failed = (error) => ({
+      success: false,
+      score: null,
+      diffPixels: null,
+      totalPixels: null,
+      threshold,
+      flagged: false,
+      diffImagePath: null,
+      viewport: `${width}x${height}`,
+      checkedAt,
+      error
+    });
+
+    this.logger.info(`🔍 Visual regression check for ${shop}/${template}`, { url, viewport: `${width}x${height}` });
+
+    // One render at a time; both hold a pooled browser
+    const critical = await ScreenshotService.captureScreenshot(url, { ...captureOptions, criticalCss: css || '' });
+    if (!critical.success) return failed(`Critical-only render failed: ${critical.error}`);
+
+    const full = await ScreenshotService.captureScreenshot(url, captureOptions);
+    if (!full.success) return failed(`Full render failed: ${full.error}`);
+
+    let diff;
+    try {
+      diff = await this.diffImages(critical.buffer, full.buffer);
+    } catch (err) {
+      this.logger.error(`Image comparison failed for ${shop}/${template}`, { error: err.message });
+      return failed(`Image comparison failed: ${err.message}`);
+    }
+
+    const score = Math.round((diff.diffPixels / diff.totalPixels) * 10000) / 100;
+
+    let diffImagePath = null;
+    try {
+      diffImagePath = path.join(config.visualRegression.diffDir, shop, `${template}-${width}x${height}.png`);
+      await fs.mkdir(path.dirname(diffImagePath), { recursive: true });
+      await fs.writeFile(diffImagePath, Buffer.from(diff.image, 'base64'));
+    } catch (err) {
+      this.logger.warn(`⚠️ Failed to write diff image, continuing`, { shop, template, error: err.message });
+      diffImagePath = null;
+    }
+
+    const flagged = score > threshold;
+
+    this.logger.info(`${flagged ? '🚩' : '✅'} ${score}% of pixels differ for ${shop}/${template}`, { threshold });
+
+    return {
+      success: true,
+      score,
+      diffPixels: diff.diffPixels,
+      totalPixels: diff.totalPixels,
+      threshold,
+      flagged,
+      diffImagePath,
+      viewport: `${width}x${height}`,
+      checkedAt,
+      error: null
+    };
+  }
+
+  /**
+   * Pixel difference between two PNG screenshots
+   * Images of different sizes are compared over the larger area (missing pixels differ).
+   *
+   * @param {Buffer} before - Critical-only render
+   * @param {Buffer} after - Full render
+   * @returns {Promise<Object>} { diffPixels, totalPixels, image: base64 PNG of the differences }
+   */
+  async diffImages(before, after) {
+    const browser = await browserPool.acquire();
+    let page = null;
+
+    try {
+      page = await browser.newPage();
+
+      return await page.evaluate(async (a, b, tolerance) => {
+        const load = (data) => new Promise((resolve, reject) => {
+          const img = new Image();
+          img.onload = () => resolve(img);
+          img.onerror = () => reject(new Error('Could not decode screenshot'));
+          img.src = `data:image/png;base64,${data}`;
+        });
+
+        const [imgA, imgB] = await Promise.all([load(a), load(b)]);
+        const width = Math.max(imgA.width, imgB.width);
+        const height = Math.max(imgA.height, imgB.height);
+
+        const pixels = (img) => {
+          const canvas = document.createElement('canvas');
+          canvas.width = width;
+          canvas.height = height;
+          const ctx = canvas.getContext('2d');
+          ctx.drawImage(img, 0, 0);
+          return ctx.getImageData(0, 0, width, height).data;
+        };
+
+        const pa = pixels(imgA);
+        const pb = pixels(imgB);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const out = ctx.createImageData(width, height);
+        let diffPixels = 0;
+
+        for (let i = 0; i < pa.length; i += 4) {
+          const delta = Math.max(
+            Math.abs(pa[i] - pb[i]),
+            Math.abs(pa[i + 1] - pb[i + 1]),
+            Math.abs(pa[i + 2] - pb[i + 2]),
+            Math.abs(pa[i + 3] - pb[i + 3])
+          );
+
+          if (delta > tolerance) {
+            diffPixels++;
+            out.data[i] = 255;
+            out.data[i + 1] = 0;
+            out.data[i + 2] = 0;
+          } else {
+            const gray = 0.299 * pb[i] + 0.587 * pb[i + 1] + 0.114 * pb[i + 2];
+            out.data[i] = out.data[i + 1] = out.data[i + 2] = 255 - (255 - gray) * 0.2;
+          }
+          out.data[i + 3] = 255;
+        }
+
+        ctx.putImageData(out, 0, 0);
+
+        return {
+          diffPixels,
+          totalPixels: width * height,
+          image: canvas.toDataURL('image/png').split(',')[1]
+        };
+      }, Buffer.from(before).toString('base64'), Buffer.from(after).toString('base64'), PIXEL_TOLERANCE);
+    } finally {
+      if (page) await page.close().catch(() => {});
+      await browserPool.release(browser);
+    }
+  }
+}
+
+export default new VisualRegression();
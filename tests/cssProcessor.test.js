@@ -0,0 +1,528 @@
+/**
+ * cssProcessor.test.js
+ *
+ * Unit tests for the CSS passes of CSSProcessor that run outside the browser.
+ * Steps that need a rendered page get a stub whose evaluate() answers from
+ * a fixed set of "rendered" selectors instead of a real Puppeteer page.
+ */
+
+import CSSProcessor from "../src/services/CSSProcessor.js";
+import { shutdownPool } from "../src/services/BrowserPool.js";
+
+// Page stub: measureSelectors() probes are visible when listed, untestable when listed there
+const stubPage = ({ visible = [], untestable = [] } = {}) => ({
+  evaluate: async (fn, probes) => probes.map(probe => {
+    if (untestable.includes(probe)) return { visible: true, top: null, area: 0, untestable: true };
+    const shown = visible.includes(probe);
+    return { visible: shown, top: shown ? 0 : null, area: shown ? 100 : 0, untestable: false };
+  }),
+});
+
+const compact = (css) => css.replace(/\s+/g, "");
+
+let processor;
+
+beforeAll(() => {
+  processor = new CSSProcessor();
+});
+
+afterAll(async () => {
+  await shutdownPool();
+});
+
+// ============================================================================
+// filterAboveFold
+// ============================================================================
+describe("CSSProcessor.filterAboveFold", () => {
+  it("should drop rules whose elements are all below the fold", async () => {
+    const page = stubPage({ visible: [".hero"] });
+    const result = await processor.filterAboveFold(page, ".hero{color:red}.footer{color:blue}");
+
+    expect(compact(result.css)).toBe(".hero{color:red}");
+    expect(result.rulesKept).toBe(1);
+    expect(result.rulesDropped).toBe(1);
+  });
+
+  it("should remove below-the-fold selectors from a kept rule's selector list", async () => {
+    const page = stubPage({ visible: [".hero"] });
+    const result = await processor.filterAboveFold(page, ".hero, .footer{margin:0}");
+
+    expect(compact(result.css)).toBe(".hero{margin:0}");
+    expect(result.rulesKept).toBe(1);
+  });
+
+  it("should probe dynamic pseudo-classes and pseudo-elements by their element", async () => {
+    const page = stubPage({ visible: ["a", ".menu > *"] });
+    const result = await processor.filterAboveFold(page, "a:hover::after{content:''}.menu > :focus{outline:0}.footer a:hover{color:red}");
+
+    expect(compact(result.css)).toBe("a:hover::after{content:''}.menu>:focus{outline:0}");
+    expect(result.rulesDropped).toBe(1);
+  });
+
+  it("should keep selectors querySelectorAll cannot evaluate", async () => {
+    const page = stubPage({ untestable: [".x:unknown-pseudo"] });
+    const result = await processor.filterAboveFold(page, ".x:unknown-pseudo{color:red}");
+
+    expect(compact(result.css)).toBe(".x:unknown-pseudo{color:red}");
+    expect(result.rulesDropped).toBe(0);
+  });
+
+  it("should leave @keyframes steps alone and remove emptied at-rules", async () => {
+    const page = stubPage({ visible: [".hero"] });
+    const css = "@keyframes fade{from{opacity:0}to{opacity:1}}@media (min-width:750px){.footer{display:flex}}.hero{animation:fade 1s}";
+    const result = await processor.filterAboveFold(page, css);
+
+    expect(compact(result.css)).toBe("@keyframesfade{from{opacity:0}to{opacity:1}}.hero{animation:fade1s}");
+    expect(result.rulesKept).toBe(1);
+    expect(result.rulesDropped).toBe(1);
+  });
+});
+
+// ============================================================================
+// mergeViewportCSS
+// ============================================================================
+describe("CSSProcessor.mergeViewportCSS", () => {
+  const MOBILE = "(max-width: 480px)";
+  const TABLET = "(min-width: 481px) and (max-width: 1024px)";
+
+  it("should emit rules shared by every viewport once, unwrapped", () => {
+    const result = processor.mergeViewportCSS([
+      { css: "body{margin:0}.a{color:red}", mediaQuery: MOBILE },
+      { css: "body{margin:0}.b{color:blue}", mediaQuery: TABLET },
+    ]);
+
+    expect(compact(result.css)).toBe(
+      compact(`body{margin:0}@media ${MOBILE}{.a{color:red}}@media ${TABLET}{.b{color:blue}}`)
+    );
+    expect(result.sharedRules).toBe(1);
+    expect(result.uniqueRules).toBe(2);
+  });
+
+  it("should emit every rule of an unwrapped viewport unwrapped", () => {
+    const result = processor.mergeViewportCSS([
+      { css: ".a{color:red}", mediaQuery: MOBILE },
+      { css: ".a{color:red}.b{color:blue}", mediaQuery: null },
+    ]);
+
+    expect(compact(result.css)).toBe(".a{color:red}.b{color:blue}");
+  });
+
+  it("should count a rule repeated within one viewport as used by that viewport only", () => {
+    const result = processor.mergeViewportCSS([
+      { css: ".a{color:red}\n.a{color:red}", mediaQuery: MOBILE },
+      { css: ".b{color:blue}", mediaQuery: TABLET },
+    ]);
+
+    expect(compact(result.css)).toBe(compact(`@media ${MOBILE}{.a{color:red}}@media ${TABLET}{.b{color:blue}}`));
+    expect(result.sharedRules).toBe(0);
+    expect(result.uniqueRules).toBe(2);
+  });
+
+  it("should join the media queries of the viewports sharing a rule", () => {
+    const result = processor.mergeViewportCSS([
+      { css: ".a{color:red}", mediaQuery: MOBILE },
+      { css: ".a{color:red}", mediaQuery: TABLET },
+      { css: ".b{color:blue}", mediaQuery: "(min-width: 1025px)" },
+    ]);
+
+    expect(compact(result.css)).toContain(compact(`@media ${MOBILE}, ${TABLET}{.a{color:red}}`));
+  });
+
+  it("should deduplicate rules inside @media and @supports, rebuilding their wrappers", () => {
+    const result = processor.mergeViewportCSS([
+      { css: "@media (min-width:750px){.a{color:red}.m{color:green}}", mediaQuery: MOBILE },
+      { css: "@media (min-width:750px){.a{color:red}}@supports (display:grid){.g{display:grid}}", mediaQuery: TABLET },
+    ]);
+
+    expect(compact(result.css)).toBe(compact(
+      "@media (min-width:750px){.a{color:red}}" +
+      `@media ${MOBILE}{@media (min-width:750px){.m{color:green}}}` +
+      `@media ${TABLET}{@supports (display:grid){.g{display:grid}}}`
+    ));
+    expect(result.sharedRules).toBe(1);
+    expect(result.uniqueRules).toBe(2);
+  });
+
+  it("should keep the same rule in different at-rule contexts apart", () => {
+    const result = processor.mergeViewportCSS([
+      { css: ".a{color:red}@media print{.a{color:red}}", mediaQuery: MOBILE },
+      { css: "@media print{.a{color:red}}", mediaQuery: TABLET },
+    ]);
+
+    expect(compact(result.css)).toBe(compact(`@media ${MOBILE}{.a{color:red}}@media print{.a{color:red}}`));
+  });
+
+  it("should keep statement at-rules terminated", () => {
+    const result = processor.mergeViewportCSS([
+      { css: "@layer base, theme;.a{color:red}", mediaQuery: null },
+    ]);
+
+    expect(compact(result.css)).toBe("@layerbase,theme;.a{color:red}");
+  });
+
+  it("should report the bytes removed by deduplication alone", () => {
+    const shared = ".shared{color:red;margin:0 auto}";
+    const result = processor.mergeViewportCSS([
+      { css: `${shared}.a{color:red}`, mediaQuery: MOBILE },
+      { css: `${shared}.b{color:blue}`, mediaQuery: TABLET },
+    ]);
+
+    const unmerged = `@media ${MOBILE}{\n${shared}\n.a{color:red}\n}\n@media ${TABLET}{\n${shared}\n.b{color:blue}\n}`;
+    expect(result.bytesSaved).toBe(Buffer.byteLength(unmerged) - Buffer.byteLength(result.css));
+    expect(result.bytesSaved).toBeGreaterThan(0);
+  });
+
+  it("should report no savings when nothing is shared", () => {
+    const result = processor.mergeViewportCSS([
+      { css: ".a{color:red}", mediaQuery: MOBILE },
+      { css: ".b{color:blue}", mediaQuery: TABLET },
+    ]);
+
+    expect(result.bytesSaved).toBe(0);
+  });
+});
+
+// ============================================================================
+// splitShadowRules
+// ============================================================================
+describe("CSSProcessor.splitShadowRules", () => {
+  it("should keep host rules, rewritten to the host's tag name", () => {
+    const result = processor.splitShadowRules(":host{display:block}:host(.open){color:red}:host::before{content:''}", "cart-drawer");
+
+    expect(compact(result.css)).toBe("cart-drawer{display:block}cart-drawer.open{color:red}cart-drawer::before{content:''}");
+    expect(result.rest.trim()).toBe("");
+  });
+
+  it("should leave rules reaching into the shadow tree out of the CSS", () => {
+    const result = processor.splitShadowRules(
+      ":host .panel{padding:0}.panel{margin:0}:host, .inner{color:red}@media (min-width:750px){:host{display:flex}.panel{display:grid}}",
+      "cart-drawer"
+    );
+
+    expect(compact(result.css)).toBe("cart-drawer{color:red}@media(min-width:750px){cart-drawer{display:flex}}");
+    expect(compact(result.rest)).toBe(":host.panel{padding:0}.panel{margin:0}:host,.inner{color:red}@media(min-width:750px){.panel{display:grid}}");
+  });
+
+  it("should leave shadow-scoped @font-face and @keyframes out of the CSS", () => {
+    const result = processor.splitShadowRules("@keyframes spin{to{rotate:1turn}}:host{animation:spin 1s}", "x-spinner");
+
+    expect(compact(result.css)).toBe("x-spinner{animation:spin1s}");
+    expect(compact(result.rest)).toBe("@keyframesspin{to{rotate:1turn}}");
+  });
+});
+
+// ============================================================================
+// rewriteUrls
+// ============================================================================
+describe("CSSProcessor.rewriteUrls", () => {
+  const BASE = "https://cdn.shopify.com/s/files/1/theme/assets/base.css";
+
+  it("should resolve relative url() references against the stylesheet", () => {
+    const css = ".a{background:url(img/bg.png)}.b{background:url('../icons/x.svg')}.c{background:url(\"/root.png\")}";
+
+    expect(processor.rewriteUrls(css, BASE)).toBe(
+      ".a{background:url(https://cdn.shopify.com/s/files/1/theme/assets/img/bg.png)}" +
+      ".b{background:url('https://cdn.shopify.com/s/files/1/theme/icons/x.svg')}" +
+      ".c{background:url(\"https://cdn.shopify.com/root.png\")}"
+    );
+  });
+
+  it("should resolve @import in both url() and string form", () => {
+    const css = "@import url(fonts.css);@import 'print.css' print;";
+
+    expect(processor.rewriteUrls(css, BASE)).toBe(
+      "@import url(https://cdn.shopify.com/s/files/1/theme/assets/fonts.css);" +
+      "@import 'https://cdn.shopify.com/s/files/1/theme/assets/print.css' print;"
+    );
+  });
+
+  it("should leave data:, blob:, fragment and absolute references untouched", () => {
+    const css = ".a{background:url(data:image/png;base64,AAA=)}.b{mask:url(#clip)}.c{background:url(https://example.com/x.png)}";
+
+    expect(processor.rewriteUrls(css, BASE)).toBe(css);
+  });
+
+  it("should not treat url() inside content strings as a reference", () => {
+    const css = ".a::after{content:\"url(x.png)\"}";
+
+    expect(processor.rewriteUrls(css, BASE)).toBe(css);
+  });
+
+  it("should make protocol-relative URLs absolute unless asked to keep them", () => {
+    const css = ".a{background:url(//cdn.example.com/x.png)}";
+
+    expect(processor.rewriteUrls(css, BASE)).toBe(".a{background:url(https://cdn.example.com/x.png)}");
+    expect(processor.rewriteUrls(css, BASE, { keepProtocolRelative: true })).toBe(css);
+  });
+
+  it("should return the CSS unchanged without a base URL", () => {
+    const css = ".a{background:url(img/bg.png)}";
+
+    expect(processor.rewriteUrls(css, null)).toBe(css);
+  });
+});
+
+// ============================================================================
+// extractUsedRules
+// ============================================================================
+describe("CSSProcessor.extractUsedRules", () => {
+  // Coverage range covering the first occurrence of `fragment` in `text`
+  const rangeOf = (text, fragment) => {
+    const start = text.indexOf(fragment);
+    return { start, end: start + fragment.length };
+  };
+
+  it("should keep only rules overlapping a used range", () => {
+    const text = ".a{color:red}\n.b{color:blue}\n.c{color:green}";
+    const used = processor.extractUsedRules(text, [rangeOf(text, ".a{color:red}"), rangeOf(text, ".c{color:green}")]);
+
+    expect(compact(used)).toBe(".a{color:red}.c{color:green}");
+  });
+
+  it("should re-emit used rules inside their @media and @supports context", () => {
+    const text = "@media (min-width:750px){.a{color:red}.b{color:blue}}@supports (display:grid){@media print{.c{display:grid}}}";
+    const used = processor.extractUsedRules(text, [rangeOf(text, "color:red"), rangeOf(text, "display:grid}")]);
+
+    expect(compact(used)).toBe("@media(min-width:750px){.a{color:red}}@supports(display:grid){@mediaprint{.c{display:grid}}}");
+  });
+
+  it("should drop at-rules left without used rules", () => {
+    const text = "@media (min-width:750px){.b{color:blue}}.a{color:red}";
+    const used = processor.extractUsedRules(text, [rangeOf(text, ".a{color:red}")]);
+
+    expect(compact(used)).toBe(".a{color:red}");
+  });
+
+  it("should keep @layer statements and drop @charset", () => {
+    const text = "@charset \"utf-8\";@layer base, theme;.a{color:red}";
+    const used = processor.extractUsedRules(text, [rangeOf(text, ".a{color:red}")]);
+
+    expect(compact(used)).toBe("@layerbase,theme;.a{color:red}");
+  });
+
+  it("should keep @font-face and @keyframes only when coverage marks them used", () => {
+    const text = "@font-face{font-family:A;src:url(a.woff2)}@keyframes spin{to{rotate:1turn}}.a{color:red}";
+    const used = processor.extractUsedRules(text, [rangeOf(text, "font-family:A"), rangeOf(text, ".a{color:red}")]);
+
+    expect(compact(used)).toBe("@font-face{font-family:A;src:url(a.woff2)}.a{color:red}");
+  });
+
+  it("should return nothing without used ranges", () => {
+    expect(processor.extractUsedRules(".a{color:red}", [])).toBe("");
+  });
+});
+
+// ============================================================================
+// resolveDependencies
+// ============================================================================
+describe("CSSProcessor.resolveDependencies", () => {
+  const BASE = "https://shop.example.com/cdn/shop/t/1/assets/base.css";
+  const definitions = [{
+    baseUrl: BASE,
+    css: [
+      ":root{--font-body-family:Assistant;--color-accent:red;--color-unused:blue;--spin:rotate}",
+      "@font-face{font-family:Assistant;src:url(assistant.woff2)}",
+      "@font-face{font-family:Unused;src:url(unused.woff2)}",
+      "@keyframes fade{from{opacity:0}to{opacity:1}}",
+      "@keyframes rotate{to{rotate:1turn}}",
+      "@keyframes unused{to{opacity:0}}",
+    ].join("\n"),
+  }];
+
+  it("should pull in the @keyframes named by animation declarations", () => {
+    const result = processor.resolveDependencies(".a{animation:fade 1s ease}", definitions);
+
+    expect(result.keyframes).toEqual(["fade"]);
+    expect(compact(result.css)).toBe(".a{animation:fade1sease}@keyframesfade{from{opacity:0}to{opacity:1}}");
+  });
+
+  it("should pull in @font-face for used families, with URLs resolved against their stylesheet", () => {
+    const result = processor.resolveDependencies(".a{font-family:\"Assistant\", sans-serif}", definitions);
+
+    expect(result.fontFaces).toEqual(["assistant"]);
+    expect(result.css).toContain("url(https://shop.example.com/cdn/shop/t/1/assets/assistant.woff2)");
+    expect(result.css).not.toContain("Unused");
+  });
+
+  it("should follow custom properties transitively and define the missing ones in :root", () => {
+    const result = processor.resolveDependencies(".a{font-family:var(--font-body-family);animation-name:var(--spin)}", definitions);
+
+    expect(result.customProperties.sort()).toEqual(["--font-body-family", "--spin"]);
+    expect(result.fontFaces).toEqual(["assistant"]);
+    expect(result.keyframes).toEqual(["rotate"]);
+    expect(compact(result.css)).toMatch(/^:root\{[^}]*--font-body-family:Assistant/);
+    expect(compact(result.css)).toMatch(/^:root\{[^}]*--spin:rotate/);
+  });
+
+  it("should prune unreferenced custom properties from kept root rules", () => {
+    const result = processor.resolveDependencies(":root{--color-accent:red;--color-unused:blue}.a{color:var(--color-accent)}", definitions);
+
+    expect(compact(result.css)).toBe(":root{--color-accent:red}.a{color:var(--color-accent)}");
+  });
+
+  it("should remove kept @keyframes and @font-face nothing references", () => {
+    const result = processor.resolveDependencies("@keyframes unused{to{opacity:0}}@font-face{font-family:Unused;src:url(x.woff2)}.a{color:red}", definitions);
+
+    expect(compact(result.css)).toBe(".a{color:red}");
+    expect(result.keyframes).toEqual([]);
+    expect(result.fontFaces).toEqual([]);
+  });
+
+  it("should keep @import and @layer statements first", () => {
+    const result = processor.resolveDependencies("@import url(fonts.css);.a{font-family:Assistant}", definitions);
+
+    expect(result.css.startsWith("@import url(fonts.css);")).toBe(true);
+  });
+});
+
+// ============================================================================
+// enforceBudget
+// ============================================================================
+describe("CSSProcessor.enforceBudget", () => {
+  const options = { minify: false };
+
+  it("should return the CSS unchanged when it fits", async () => {
+    const css = ".a{color:red}";
+    const result = await processor.enforceBudget(css, 1024, new Map(), options);
+
+    expect(result.css).toBe(css);
+    expect(result.report).toEqual({ met: true, originalSize: 13, size: 13, prunedRules: 0, prunedSelectors: [] });
+  });
+
+  it("should prune the least important rules first", async () => {
+    const css = ".hero{color:red}\n.footer{color:blue}\n.nav{color:green}";
+    const ranks = new Map([[".hero", 1], [".footer", 0], [".nav", 0.6]]);
+    const result = await processor.enforceBudget(css, 40, ranks, options);
+
+    expect(compact(result.css)).toBe(".hero{color:red}.nav{color:green}");
+    expect(result.report.met).toBe(true);
+    expect(result.report.prunedRules).toBe(1);
+    expect(result.report.prunedSelectors).toEqual([".footer"]);
+  });
+
+  it("should prune later rules first when importance ties", async () => {
+    const css = ".a{color:red}\n.b{color:red}\n.c{color:red}";
+    const result = await processor.enforceBudget(css, 30, new Map(), options);
+
+    expect(compact(result.css)).toBe(".a{color:red}.b{color:red}");
+    expect(result.report.prunedSelectors).toEqual([".c"]);
+  });
+
+  it("should never prune :root rules or the most important rule", async () => {
+    const css = ":root{--accent:red}\n.a{color:var(--accent)}\n.b{color:blue}";
+    const ranks = new Map([[".a", 0.9], [".b", 0.1]]);
+    const result = await processor.enforceBudget(css, 10, ranks, options);
+
+    expect(compact(result.css)).toBe(":root{--accent:red}.a{color:var(--accent)}");
+    expect(result.report.met).toBe(false);
+  });
+
+  it("should drop @keyframes only pruned rules referenced", async () => {
+    const css = ".a{color:red}\n.spinner{animation:spin 1s}\n@keyframes spin{to{rotate:1turn}}";
+    const ranks = new Map([[".a", 1], [".spinner", 0]]);
+    const result = await processor.enforceBudget(css, 20, ranks, options);
+
+    expect(compact(result.css)).toBe(".a{color:red}");
+  });
+
+  it("should match ranks to selectors rewritten by the optimizer", async () => {
+    const css = "a>.x{color:red}\n.b{color:blue}";
+    const ranks = new Map([[processor.selectorKey("a > .x"), 1], [".b", 0]]);
+    const result = await processor.enforceBudget(css, 20, ranks, options);
+
+    expect(compact(result.css)).toBe("a>.x{color:red}");
+  });
+
+  it("should prune rules in demoted media queries before any ranked rule", async () => {
+    const css = ".a{color:red}\n.b{color:blue}\n@media (max-width:749px){@media (prefers-color-scheme: dark){.a{color:white}}}";
+    const ranks = new Map([[".a", 1], [".b", 0]]);
+    const result = await processor.enforceBudget(css, 30, ranks, { ...options, demote: ["(prefers-color-scheme:dark)"] });
+
+    expect(compact(result.css)).toBe(".a{color:red}.b{color:blue}");
+    expect(result.report.prunedRules).toBe(1);
+  });
+});
+
+// ============================================================================
+// buildNonCriticalCSS
+// ============================================================================
+describe("CSSProcessor.buildNonCriticalCSS", () => {
+  const MOBILE = "only screen and (max-width: 480px)";
+  const URL = "https://shop.example.com/cdn/shop/t/1/assets/base.css";
+  const options = { minify: false };
+
+  const stylesheets = new Map([[URL, [
+    ":root{--accent:red}",
+    ".hero{color:red}",
+    ".footer{color:blue}",
+    ".menu, .drawer{display:none}",
+    "@media (min-width:750px){.hero{padding:2rem}.grid{display:grid}}",
+    "@keyframes spin{to{rotate:1turn}}",
+  ].join("\n")]]);
+
+  it("should leave out rules the critical CSS applies everywhere, in the same at-rule context", async () => {
+    const css = await processor.buildNonCriticalCSS(stylesheets, ".hero{color:red}@media (min-width:750px){.hero{padding:2rem}}", {}, options);
+
+    expect(compact(css)).toBe(":root{--accent:red}.footer{color:blue}.menu,.drawer{display:none}@media(min-width:750px){.grid{display:grid}}@keyframesspin{to{rotate:1turn}}");
+  });
+
+  it("should keep the selectors of a rule that critical CSS only partly covers", async () => {
+    const css = await processor.buildNonCriticalCSS(stylesheets, ".menu{display:none}", {}, options);
+
+    expect(compact(css)).toContain(".drawer{display:none}");
+    expect(compact(css)).not.toContain(".menu");
+  });
+
+  it("should keep rules the critical CSS only applies inside a viewport wrapper", async () => {
+    const critical = `.hero{color:red}@media ${MOBILE}{.footer{color:blue}}`;
+    const css = await processor.buildNonCriticalCSS(stylesheets, critical, {}, { ...options, wrappers: [MOBILE, null] });
+
+    expect(compact(css)).toContain(".footer{color:blue}");
+    expect(compact(css)).not.toContain(".hero{color:red}");
+  });
+
+  it("should recognize wrappers joined into one query list and rewritten by the optimizer", async () => {
+    const TABLET = "only screen and (min-width: 481px) and (max-width: 1024px)";
+    const critical = "@media only screen and (max-width:480px),only screen and (min-width:481px) and (max-width:1024px){.footer{color:blue}}";
+    const css = await processor.buildNonCriticalCSS(stylesheets, critical, {}, { ...options, wrappers: [MOBILE, TABLET] });
+
+    expect(compact(css)).toContain(".footer{color:blue}");
+  });
+
+  it("should resolve stylesheet URLs", async () => {
+    const sheets = new Map([[URL, ".bg{background:url(bg.png)}"]]);
+    const css = await processor.buildNonCriticalCSS(sheets, "", {}, options);
+
+    expect(css).toBe(".bg{background:url(https://shop.example.com/cdn/shop/t/1/assets/bg.png)}");
+  });
+});
+
+// ============================================================================
+// finalizeVariants (non-critical CSS)
+// ============================================================================
+describe("CSSProcessor.finalizeVariants", () => {
+  const URL = "https://shop.example.com/cdn/shop/t/1/assets/base.css";
+  const stylesheets = new Map([[URL, ".hero{color:red}.mobile-nav{display:block}.footer{color:blue}"]]);
+
+  it("should keep rules critical on one viewport only in the non-critical CSS", async () => {
+    const variants = [
+      { device: "mobile", viewport: "360x800", mediaQuery: "only screen and (max-width: 480px)", css: ".hero{color:red}.mobile-nav{display:block}" },
+      { device: "desktop", viewport: "1366x768", mediaQuery: "only screen and (min-width: 1025px)", css: ".hero{color:red}" },
+    ];
+    const result = await processor.finalizeVariants(variants, { stylesheets });
+
+    expect(result.nonCriticalCss).toContain(".mobile-nav{display:block}");
+    expect(result.nonCriticalCss).not.toContain(".hero");
+  });
+
+  it("should keep rules the budget pruned from the combined CSS in the non-critical CSS", async () => {
+    const variants = [
+      { device: "desktop", viewport: "1366x768", mediaQuery: null, css: ".hero{color:red}.footer{color:blue}" },
+    ];
+    const ranks = new Map([[".hero", 1], [".footer", 0]]);
+    const result = await processor.finalizeVariants(variants, { stylesheets, ranks, maxBytes: 20 });
+
+    expect(result.css).toBe(".hero{color:red}");
+    expect(result.nonCriticalCss).toContain(".footer{color:blue}");
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * htmlInliner.test.js
+ *
+ * Unit tests for HtmlInliner
+ * - Inlines critical CSS before the first stylesheet and defers <link> stylesheets
+ * - Adds a <base> for previews served from another origin
+ * - Follows redirects only within the allowed hosts
+ */
+
+import http from "node:http";
+import HtmlInliner from "../src/services/HtmlInliner.js";
+
+// ============================================================================
+// inlineCriticalCss
+// ============================================================================
+describe("HtmlInliner.inlineCriticalCss", () => {
+  const page = [
+    "<!doctype html><html><head>",
+    "<meta charset=\"utf-8\">",
+    "<link rel=\"stylesheet\" href=\"/cdn/base.css\">",
+    "<link rel=\"stylesheet\" href=\"/cdn/print.css\" media=\"print\">",
+    "<noscript><link rel=\"stylesheet\" href=\"/cdn/noscript.css\"></noscript>",
+    "</head><body></body></html>",
+  ].join("");
+
+  it("should inline the CSS before the first stylesheet", () => {
+    const { html, inlinedBytes } = HtmlInliner.inlineCriticalCss(page, ".a{color:red}");
+
+    expect(html).toContain("<meta charset=\"utf-8\"><style data-critical-css>.a{color:red}</style><link rel=\"preload\" href=\"/cdn/base.css\"");
+    expect(inlinedBytes).toBe(13);
+  });
+
+  it("should defer stylesheets with a noscript fallback, keeping their media", () => {
+    const { html, deferredStylesheets } = HtmlInliner.inlineCriticalCss(page, ".a{color:red}");
+
+    expect(deferredStylesheets).toEqual(["/cdn/base.css", "/cdn/print.css"]);
+    expect(html).toContain(
+      "<link rel=\"preload\" href=\"/cdn/print.css\" as=\"style\" media=\"print\" onload=\"this.onload=null;this.rel='stylesheet'\">" +
+      "<noscript><link rel=\"stylesheet\" href=\"/cdn/print.css\" media=\"print\"></noscript>"
+    );
+  });
+
+  it("should leave existing noscript content alone", () => {
+    const { html, deferredStylesheets } = HtmlInliner.inlineCriticalCss(page, "");
+
+    expect(html).toContain("<noscript><link rel=\"stylesheet\" href=\"/cdn/noscript.css\"></noscript>");
+    expect(deferredStylesheets).not.toContain("/cdn/noscript.css");
+  });
+
+  it("should escape a closing style tag in the CSS", () => {
+    const { html } = HtmlInliner.inlineCriticalCss(page, ".a::after{content:\"</style>\"}");
+
+    expect(html).toContain(".a::after{content:\"<\\/style>\"}</style>");
+  });
+
+  it("should add a <base> for the page URL", () => {
+    const { html } = HtmlInliner.inlineCriticalCss(page, "", { baseUrl: "https://shop.example.com/products/a?x=1&y=2" });
+
+    expect(html).toContain("<head><base href=\"https://shop.example.com/products/a?x=1&amp;y=2\">");
+  });
+
+  it("should insert the <base> literally when the head tag contains replacement patterns", () => {
+    const html = "<html><head data-x=\"$&$'\"></head></html>";
+    const result = HtmlInliner.inlineCriticalCss(html, "", { baseUrl: "https://shop.example.com/" });
+
+    expect(result.html).toContain("<head data-x=\"$&$'\"><base href=\"https://shop.example.com/\">");
+  });
+
+  it("should keep an existing <base>", () => {
+    const html = "<html><head><base href=\"https://other.example.com/\"></head></html>";
+    const result = HtmlInliner.inlineCriticalCss(html, "", { baseUrl: "https://shop.example.com/" });
+
+    expect(result.html).not.toContain("shop.example.com");
+  });
+});
+
+// ============================================================================
+// fetchPage
+// ============================================================================
+describe("HtmlInliner.fetchPage", () => {
+  let server;
+  let origin;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === "/moved") {
+        res.writeHead(301, { Location: "/page" }).end();
+      } else if (req.url === "/away") {
+        res.writeHead(302, { Location: "http://elsewhere.invalid/page" }).end();
+      } else if (req.url === "/loop") {
+        res.writeHead(302, { Location: "/loop" }).end();
+      } else if (req.url === "/page") {
+        res.writeHead(200, { "Content-Type": "text/html" }).end("<html><head></head></html>");
+      } else {
+        res.writeHead(200, { "Content-Type": "application/json" }).end("{}");
+      }
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it("should follow redirects within the allowed hosts", async () => {
+    const page = await HtmlInliner.fetchPage(`${origin}/moved`, { allowedHosts: ["127.0.0.1"] });
+
+    expect(page.html).toBe("<html><head></head></html>");
+    expect(page.finalUrl).toBe(`${origin}/page`);
+  });
+
+  it("should refuse redirects to another host", async () => {
+    await expect(HtmlInliner.fetchPage(`${origin}/away`, { allowedHosts: ["127.0.0.1"] }))
+      .rejects.toThrow("redirects to http://elsewhere.invalid/page");
+  });
+
+  it("should stop after too many redirects", async () => {
+    await expect(HtmlInliner.fetchPage(`${origin}/loop`)).rejects.toThrow("Too many redirects");
+  });
+
+  it("should reject responses that are not HTML", async () => {
+    await expect(HtmlInliner.fetchPage(`${origin}/data.json`)).rejects.toThrow("Expected an HTML page");
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * liquidSnippetBuilder.test.js
+ *
+ * Unit tests for LiquidSnippetBuilder
+ * - Maps stored template names to the key the snippet rebuilds from Liquid
+ * - Emits one case branch per template, inline or as a CDN link
+ * - Keeps stored CSS from breaking out of {% raw %} and <style>
+ */
+
+import LiquidSnippetBuilder from "../src/services/LiquidSnippetBuilder.js";
+
+const SHOP = "store.myshopify.com";
+
+// ============================================================================
+// toLiquidKey
+// ============================================================================
+describe("LiquidSnippetBuilder.toLiquidKey", () => {
+  it("should drop the .json extension of JSON templates", () => {
+    expect(LiquidSnippetBuilder.toLiquidKey("product.custom.json")).toBe("product.custom");
+    expect(LiquidSnippetBuilder.toLiquidKey("index")).toBe("index");
+  });
+
+  it("should keep customers/ templates", () => {
+    expect(LiquidSnippetBuilder.toLiquidKey("customers/account")).toBe("customers/account");
+  });
+
+  it("should refuse names that can't be written as a Liquid string", () => {
+    expect(LiquidSnippetBuilder.toLiquidKey("product'}")).toBeNull();
+    expect(LiquidSnippetBuilder.toLiquidKey("")).toBeNull();
+    expect(LiquidSnippetBuilder.toLiquidKey(null)).toBeNull();
+  });
+});
+
+// ============================================================================
+// build
+// ============================================================================
+describe("LiquidSnippetBuilder.build", () => {
+  it("should emit an inline branch per template, sorted by key", () => {
+    const { snippet, templates } = LiquidSnippetBuilder.build(SHOP, [
+      { template: "product", css: ".p{color:red}" },
+      { template: "index", css: ".i{color:blue}" },
+    ]);
+
+    expect(snippet.indexOf("{%- when 'index' -%}")).toBeLessThan(snippet.indexOf("{%- when 'product' -%}"));
+    expect(snippet).toContain("<style data-critical-css=\"product\">{% raw %}.p{color:red}{% endraw %}</style>");
+    expect(templates).toEqual([
+      { template: "product", key: "product", output: "inline", deferred: false },
+      { template: "index", key: "index", output: "inline", deferred: false },
+    ]);
+  });
+
+  it("should link the CDN file in link mode, falling back to inline without one", () => {
+    const { snippet, templates } = LiquidSnippetBuilder.build(SHOP, [
+      { template: "product", css: ".p{color:red}", cdnUrl: "https://cdn.example.com/product.css" },
+      { template: "index", css: ".i{color:blue}", cdnUrl: null },
+    ], { mode: "link" });
+
+    expect(snippet).toContain("<link rel=\"stylesheet\" href=\"https://cdn.example.com/product.css\" data-critical-css=\"product\">");
+    expect(templates.map(entry => entry.output)).toEqual(["link", "inline"]);
+  });
+
+  it("should defer the non-critical stylesheet with a noscript fallback", () => {
+    const { snippet, templates } = LiquidSnippetBuilder.build(SHOP, [
+      { template: "product", css: ".p{color:red}", nonCriticalCdnUrl: "https://cdn.example.com/product-rest.css" },
+    ]);
+
+    expect(snippet).toContain("<link rel=\"preload\" href=\"https://cdn.example.com/product-rest.css\" as=\"style\" data-critical-defer");
+    expect(snippet).toContain("<noscript><link rel=\"stylesheet\" href=\"https://cdn.example.com/product-rest.css\"></noscript>");
+    expect(templates[0].deferred).toBe(true);
+  });
+
+  it("should match alternate templates through template.suffix", () => {
+    const { snippet } = LiquidSnippetBuilder.build(SHOP, [
+      { template: "product.custom.json", css: ".c{color:red}" },
+      { template: "product", css: ".p{color:red}" },
+    ]);
+
+    expect(snippet).toContain("      when 'product.custom'");
+    expect(snippet).toContain("{%- when 'product.custom' -%}");
+  });
+
+  it("should key templates in a subdirectory by template.directory", () => {
+    const { snippet, templates } = LiquidSnippetBuilder.build(SHOP, [
+      { template: "customers/account", css: ".acc{color:red}" },
+      { template: "customers/login.custom", css: ".login{color:red}" },
+    ]);
+
+    expect(snippet).toContain("    assign critical_css_base = template.directory | append: '/' | append: template.name");
+    expect(snippet).toContain("    assign critical_css_suffixed = critical_css_base | append: '.' | append: template.suffix");
+    expect(snippet).toContain("{%- when 'customers/account' -%}");
+    expect(snippet).toContain("      when 'customers/login.custom'");
+    expect(templates.map(entry => entry.key)).toEqual(["customers/account", "customers/login.custom"]);
+  });
+
+  it("should keep CSS from closing the raw block or the style tag", () => {
+    const { snippet } = LiquidSnippetBuilder.build(SHOP, [
+      { template: "product", css: ".a::after{content:\"{% endraw %}</style><script>\"}" },
+    ]);
+
+    expect(snippet).toContain("{% raw %}.a::after{content:\"<\\/style><script>\"}{% endraw %}</style>");
+  });
+
+  it("should skip templates without CSS, invalid keys and duplicate keys", () => {
+    const { templates } = LiquidSnippetBuilder.build(SHOP, [
+      { template: "cart", css: "" },
+      { template: "bad'key", css: ".x{}" },
+      { template: "product", css: ".p{color:red}" },
+      { template: "product.json", css: ".q{color:blue}" },
+    ]);
+
+    expect(templates.map(entry => entry.template)).toEqual(["product"]);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * mediaEmulation.test.js
+ *
+ * Unit tests for MediaEmulation
+ * - Validates emulateMedia pass names
+ * - Wraps only the rules an emulated pass adds over the base pass
+ */
+
+import MediaEmulation from "../src/services/MediaEmulation.js";
+
+const DARK = "(prefers-color-scheme: dark)";
+
+const compact = (css) => css.replace(/\s+/g, "");
+
+// ============================================================================
+// validate
+// ============================================================================
+describe("MediaEmulation.validate", () => {
+  it("should accept known passes and a missing value", () => {
+    expect(MediaEmulation.validate(["dark", "reduced-motion"])).toBeNull();
+    expect(MediaEmulation.validate(undefined)).toBeNull();
+  });
+
+  it("should reject unknown passes and non-arrays", () => {
+    expect(MediaEmulation.validate(["sepia"])).toMatch(/^emulateMedia must be an array of: dark, reduced-motion/);
+    expect(MediaEmulation.validate("dark")).not.toBeNull();
+  });
+});
+
+// ============================================================================
+// extraCSS
+// ============================================================================
+describe("MediaEmulation.extraCSS", () => {
+  it("should wrap the rules only the emulated pass found", () => {
+    const result = MediaEmulation.extraCSS(
+      "body{color:#000}.a{color:red}",
+      "body{color:#fff}.a{color:red}",
+      DARK
+    );
+
+    expect(compact(result.css)).toBe("@media(prefers-color-scheme:dark){body{color:#fff}}");
+    expect(result.rules).toBe(1);
+  });
+
+  it("should add nothing when the pass matches the base", () => {
+    const result = MediaEmulation.extraCSS(".a{color:red}", ".a { color: red; }", DARK);
+
+    expect(result).toEqual({ css: "", rules: 0 });
+  });
+
+  it("should compare rules inside their at-rule context", () => {
+    const result = MediaEmulation.extraCSS(
+      "@media (min-width:750px){.a{color:red}}",
+      "@media (min-width: 750px){.a{color:red}.b{color:blue}}.a{color:red}",
+      DARK
+    );
+
+    expect(compact(result.css)).toBe("@media(prefers-color-scheme:dark){@media(min-width:750px){.b{color:blue}}.a{color:red}}");
+    expect(result.rules).toBe(2);
+  });
+
+  it("should compare @keyframes whole without counting their steps", () => {
+    const result = MediaEmulation.extraCSS(
+      "@keyframes fade{to{opacity:1}}",
+      "@keyframes fade{to{opacity:.5}}",
+      "(prefers-reduced-motion: reduce)"
+    );
+
+    expect(compact(result.css)).toBe("@media(prefers-reduced-motion:reduce){@keyframesfade{to{opacity:.5}}}");
+    expect(result.rules).toBe(0);
+  });
+
+  it("should drop comments from the added CSS", () => {
+    const result = MediaEmulation.extraCSS(".a{color:red}", "/* dark */.a{color:red}", DARK);
+
+    expect(result.css).toBe("");
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * sampleCombiner.test.js
+ *
+ * Unit tests for SampleCombiner
+ * - Resolves strategies and the number of samples a rule must be used on
+ * - Combines per-sample CSS with union, intersection and threshold counts
+ * - Prunes the combined CSS by importance, with the share of samples as a tiebreak
+ */
+
+import CSSProcessor from "../src/services/CSSProcessor.js";
+import SampleCombiner from "../src/services/SampleCombiner.js";
+import { shutdownPool } from "../src/services/BrowserPool.js";
+
+const compact = (css) => css.replace(/\s+/g, "");
+
+let engine;
+
+beforeAll(() => {
+  engine = new CSSProcessor();
+});
+
+afterAll(async () => {
+  await shutdownPool();
+});
+
+// ============================================================================
+// minSamples
+// ============================================================================
+describe("SampleCombiner.minSamples", () => {
+  it("should require one sample for union and every sample for intersection", () => {
+    expect(SampleCombiner.minSamples(SampleCombiner.resolveStrategy("union"), 4)).toBe(1);
+    expect(SampleCombiner.minSamples(SampleCombiner.resolveStrategy("intersection"), 4)).toBe(4);
+  });
+
+  it("should round the threshold up to whole samples", () => {
+    expect(SampleCombiner.minSamples(SampleCombiner.resolveStrategy("threshold", 50), 3)).toBe(2);
+    expect(SampleCombiner.minSamples(SampleCombiner.resolveStrategy("threshold", 1), 3)).toBe(1);
+    expect(SampleCombiner.minSamples(SampleCombiner.resolveStrategy("threshold"), 4)).toBe(2);
+  });
+});
+
+// ============================================================================
+// combineParts
+// ============================================================================
+describe("SampleCombiner.combineParts", () => {
+  const parts = [
+    ".a{color:red}.b{color:blue}",
+    ".a{color:red}.c{color:green}",
+    ".a{color:red}.b{color:blue}",
+  ];
+
+  it("should keep every rule used on any sample for union", () => {
+    const result = SampleCombiner.combineParts(engine, parts, 1);
+
+    expect(compact(result.css)).toContain(".b{color:blue}");
+    expect(compact(result.css)).toContain(".c{color:green}");
+    expect(result.rulesTotal).toBe(3);
+    expect(result.rulesKept).toBe(3);
+  });
+
+  it("should keep only rules used on every sample for intersection", () => {
+    const result = SampleCombiner.combineParts(engine, parts, 3);
+
+    expect(compact(result.css)).toContain(".a{color:red}");
+    expect(compact(result.css)).not.toContain(".b");
+    expect(compact(result.css)).not.toContain(".c");
+    expect(result.rulesKept).toBe(1);
+  });
+
+  it("should keep rules used on at least minCount samples", () => {
+    const result = SampleCombiner.combineParts(engine, parts, 2);
+
+    expect(compact(result.css)).toContain(".b{color:blue}");
+    expect(compact(result.css)).not.toContain(".c");
+  });
+
+  it("should count a selector once per sample", () => {
+    const result = SampleCombiner.combineParts(engine, [".a{color:red}.a{margin:0}", ".b{color:blue}"], 2);
+
+    expect(compact(result.css)).toBe("");
+  });
+
+  it("should count selectors in their at-rule context and drop emptied at-rules", () => {
+    const result = SampleCombiner.combineParts(engine, [
+      "@media (min-width:750px){.a{color:red}}",
+      ".a{color:red}",
+    ], 2);
+
+    expect(compact(result.css)).toBe("");
+  });
+
+  it("should trim a rule down to its selectors that meet the count", () => {
+    const result = SampleCombiner.combineParts(engine, [".a,.b{color:red}", ".a{color:red}"], 2);
+
+    expect(compact(result.css)).toBe(".a{color:red}.a{color:red}");
+  });
+
+  it("should keep root rules and keyframes regardless of the count", () => {
+    const result = SampleCombiner.combineParts(engine, [
+      ":root{--x:1}@keyframes spin{from{opacity:0}to{opacity:1}}",
+      ".a{color:red}",
+    ], 2);
+
+    expect(compact(result.css)).toContain(":root{--x:1}");
+    expect(compact(result.css)).toContain("@keyframesspin{from{opacity:0}to{opacity:1}}");
+  });
+
+  it("should report the share of samples using each selector", () => {
+    const { shares } = SampleCombiner.combineParts(engine, parts, 1);
+
+    expect(shares.get(engine.selectorKey(".a"))).toBe(1);
+    expect(shares.get(engine.selectorKey(".b"))).toBeCloseTo(2 / 3);
+    expect(shares.get(engine.selectorKey(".c"))).toBeCloseTo(1 / 3);
+  });
+});
+
+// ============================================================================
+// combineRanks
+// ============================================================================
+describe("SampleCombiner.combineRanks", () => {
+  it("should take the best importance any sample measured", () => {
+    const ranks = SampleCombiner.combineRanks(
+      [new Map([[".a", 0.2]]), new Map([[".a", 0.7], [".b", 0.1]])],
+      new Map([[".a", 1], [".b", 0.5]])
+    );
+
+    expect(ranks.get(".a")).toBeCloseTo(0.7, 2);
+    expect(ranks.get(".b")).toBeCloseTo(0.1, 2);
+  });
+
+  it("should break importance ties by the share of samples", () => {
+    const ranks = SampleCombiner.combineRanks(
+      [new Map([[".a", 0.4], [".b", 0.4]])],
+      new Map([[".a", 1], [".b", 0.5]])
+    );
+
+    expect(ranks.get(".a")).toBeGreaterThan(ranks.get(".b"));
+  });
+
+  it("should rank selectors no sample measured like enforceBudget does", () => {
+    const ranks = SampleCombiner.combineRanks([], new Map([[".a", 1]]));
+
+    expect(ranks.get(".a")).toBeCloseTo(0.5, 2);
+  });
+});
+
+// ============================================================================
+// generate
+// ============================================================================
+describe("SampleCombiner.generate", () => {
+  const VIEWPORT = "1366x768";
+
+  // Engine result of one sample, ranked like CSSProcessor.rankSelectors()
+  const sampleResult = (css, ranks) => ({
+    css,
+    variants: [{ device: "desktop", viewport: VIEWPORT, mediaQuery: null, css }],
+    stylesheets: new Map(),
+    ranks: new Map(ranks),
+    variantRanks: { [VIEWPORT]: new Map(ranks) },
+    metadata: { success: true, successfulViewports: [VIEWPORT], failedViewports: [] },
+  });
+
+  it("should keep a large above-the-fold rule over a small, frequent below-the-fold one under a budget", async () => {
+    const samples = {
+      "https://shop.example.com/products/a": sampleResult(
+        ".hero{min-height:60vh}.note{color:red}",
+        [[".hero", 0.9], [".note", 0.05]]
+      ),
+      "https://shop.example.com/products/b": sampleResult(".note{color:red}", [[".note", 0.05]]),
+      "https://shop.example.com/products/c": sampleResult(".note{color:red}", [[".note", 0.05]]),
+    };
+    const sampler = new CSSProcessor();
+    const configs = [];
+    sampler.generateCriticalCSS = async (config) => {
+      configs.push(config);
+      return samples[config.url];
+    };
+
+    const result = await SampleCombiner.generate(sampler, {
+      urls: Object.keys(samples),
+      sampleStrategy: "union",
+      maxBytes: 30,
+    });
+
+    expect(configs.every(config => config.rank === true && config.maxBytes === null)).toBe(true);
+    expect(compact(result.css)).toBe(".hero{min-height:60vh}");
+    expect(result.metadata.budget.prunedSelectors).toEqual([".note"]);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * secretCipher.test.js
+ *
+ * Unit tests for SecretCipher
+ * - Round-trips secrets through the "v1:<iv>:<tag>:<ciphertext>" format
+ * - Rejects tampered values, unknown formats and values from another key
+ * - Refuses to work without SETTINGS_SECRET_KEY
+ */
+
+import config from "../src/config/config.js";
+import SecretCipher from "../src/services/SecretCipher.js";
+
+describe("SecretCipher", () => {
+  let originalKey;
+
+  beforeEach(() => {
+    originalKey = config.secretKey;
+    config.secretKey = "test-secret-key";
+  });
+
+  afterEach(() => {
+    config.secretKey = originalKey;
+  });
+
+  it("should decrypt what it encrypted", () => {
+    const stored = SecretCipher.encrypt("storefront pässword");
+
+    expect(SecretCipher.decrypt(stored)).toBe("storefront pässword");
+  });
+
+  it("should store a versioned value that doesn't contain the plaintext", () => {
+    const stored = SecretCipher.encrypt("hunter2");
+
+    expect(stored).toMatch(/^v1:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]*$/);
+    expect(stored).not.toContain("hunter2");
+  });
+
+  it("should use a fresh IV for every encryption", () => {
+    expect(SecretCipher.encrypt("same")).not.toBe(SecretCipher.encrypt("same"));
+  });
+
+  it("should reject a tampered ciphertext", () => {
+    const [version, iv, tag, ciphertext] = SecretCipher.encrypt("hunter2").split(":");
+    const bytes = Buffer.from(ciphertext, "base64");
+    bytes[0] ^= 1;
+
+    expect(() => SecretCipher.decrypt([version, iv, tag, bytes.toString("base64")].join(":"))).toThrow();
+  });
+
+  it("should reject values encrypted with another key", () => {
+    const stored = SecretCipher.encrypt("hunter2");
+    config.secretKey = "rotated-key";
+
+    expect(() => SecretCipher.decrypt(stored)).toThrow();
+  });
+
+  it("should reject values in an unknown format", () => {
+    expect(() => SecretCipher.decrypt("hunter2")).toThrow("Unrecognized encrypted secret format");
+    expect(() => SecretCipher.decrypt("v2:a:b:c")).toThrow("Unrecognized encrypted secret format");
+  });
+
+  it("should refuse to encrypt or decrypt without a key", () => {
+    const stored = SecretCipher.encrypt("hunter2");
+    config.secretKey = "";
+
+    expect(() => SecretCipher.encrypt("hunter2")).toThrow("SETTINGS_SECRET_KEY is not configured");
+    expect(() => SecretCipher.decrypt(stored)).toThrow("SETTINGS_SECRET_KEY is not configured");
+  });
+});
@@ -0,0 +1,10 @@
+/**
+ * setup.js
+ *
+ * Runs before every test file. config.js refuses to load without a Mongo
+ * connection string; unit tests never connect, so placeholders are enough.
+ */
+
+process.env.MONGO_URI = process.env.MONGO_URI || "mongodb://127.0.0.1:27017";
+process.env.MONGO_DB = process.env.MONGO_DB || "critical_css_test";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
@@ -0,0 +1,167 @@
+/**
+ * styleValidator.test.js
+ *
+ * Unit tests for the comparison half of StyleValidator
+ * - Pairs the elements of both renders and diffs their computed styles
+ * - Treats pixel values within the tolerance as equal
+ * - Reads the selectors of matched author rules from a stubbed CDP session
+ */
+
+import StyleValidator from "../src/services/StyleValidator.js";
+import { shutdownPool } from "../src/services/BrowserPool.js";
+
+const STYLES = {
+  display: "block",
+  position: "static",
+  width: "100px",
+  height: "20px",
+  "margin-top": "0px",
+  "margin-right": "0px",
+  "margin-bottom": "0px",
+  "margin-left": "0px",
+  "font-family": "Arial",
+  "font-size": "16px",
+  "font-weight": "400",
+  "line-height": "normal",
+  color: "rgb(0, 0, 0)",
+  "background-color": "rgba(0, 0, 0, 0)",
+};
+
+// collectElements() entry
+const element = (key, { inViewport = true, selector = "div", ...styles } = {}) => ({
+  key,
+  selector,
+  inViewport,
+  styles: { ...STYLES, ...styles },
+});
+
+afterAll(async () => {
+  await shutdownPool();
+});
+
+// ============================================================================
+// sameValue
+// ============================================================================
+describe("StyleValidator.sameValue", () => {
+  it("should compare non-pixel values exactly", () => {
+    expect(StyleValidator.sameValue("block", "block")).toBe(true);
+    expect(StyleValidator.sameValue("block", "flex")).toBe(false);
+    expect(StyleValidator.sameValue("rgb(0, 0, 0)", "rgb(0, 0, 1)")).toBe(false);
+  });
+
+  it("should treat pixel values within 1px as equal", () => {
+    expect(StyleValidator.sameValue("100px", "100.8px")).toBe(true);
+    expect(StyleValidator.sameValue("-4px", "-3px")).toBe(true);
+    expect(StyleValidator.sameValue("100px", "102px")).toBe(false);
+  });
+
+  it("should not apply the tolerance to mixed units or missing values", () => {
+    expect(StyleValidator.sameValue("16px", "16em")).toBe(false);
+    expect(StyleValidator.sameValue(undefined, "0px")).toBe(false);
+    expect(StyleValidator.sameValue(undefined, undefined)).toBe(true);
+  });
+});
+
+// ============================================================================
+// compare
+// ============================================================================
+describe("StyleValidator.compare", () => {
+  it("should report the properties that differ, with both values", () => {
+    const result = StyleValidator.compare(
+      [element("body > header:nth-child(1)", { height: "40px", color: "rgb(0, 0, 0)" })],
+      [element("body > header:nth-child(1)", { selector: "header.site-header", height: "80px", color: "rgb(255, 0, 0)" })]
+    );
+
+    expect(result.compared).toBe(1);
+    expect(result.mismatches).toEqual([{
+      element: "body > header:nth-child(1)",
+      selector: "header.site-header",
+      properties: [
+        { property: "height", critical: "40px", full: "80px" },
+        { property: "color", critical: "rgb(0, 0, 0)", full: "rgb(255, 0, 0)" },
+      ],
+    }]);
+  });
+
+  it("should not report elements whose styles match within the tolerance", () => {
+    const result = StyleValidator.compare(
+      [element("body > div:nth-child(1)", { width: "100.5px" })],
+      [element("body > div:nth-child(1)")]
+    );
+
+    expect(result).toEqual({ compared: 1, unmatched: 0, mismatches: [] });
+  });
+
+  it("should compare elements in the first viewport of either render only", () => {
+    const result = StyleValidator.compare(
+      [
+        element("body > div:nth-child(1)", { inViewport: false, display: "none" }),
+        element("body > div:nth-child(2)", { inViewport: false, display: "none" }),
+      ],
+      [
+        element("body > div:nth-child(1)", { inViewport: true }),
+        element("body > div:nth-child(2)", { inViewport: false }),
+      ]
+    );
+
+    expect(result.compared).toBe(1);
+    expect(result.mismatches.map(entry => entry.element)).toEqual(["body > div:nth-child(1)"]);
+  });
+
+  it("should count elements present in only one render as unmatched", () => {
+    const result = StyleValidator.compare(
+      [element("body > div:nth-child(1)")],
+      [element("body > div:nth-child(1)"), element("body > div:nth-child(2)")]
+    );
+
+    expect(result).toEqual({ compared: 1, unmatched: 1, mismatches: [] });
+  });
+});
+
+// ============================================================================
+// matchedSelectors
+// ============================================================================
+describe("StyleValidator.matchedSelectors", () => {
+  // CDP session stub answering CSS.getMatchedStylesForNode per element key
+  const stubPage = (matched) => {
+    const keys = Object.keys(matched);
+    return {
+      createCDPSession: async () => ({
+        send: async (method, params) => {
+          if (method === "DOM.getDocument") return { root: { nodeId: 1 } };
+          // Node ids 2.. for known keys, 0 (not found) otherwise
+          if (method === "DOM.querySelector") return { nodeId: keys.includes(params.selector) ? keys.indexOf(params.selector) + 2 : 0 };
+          if (method === "CSS.getMatchedStylesForNode") return { matchedCSSRules: matched[keys[params.nodeId - 2]] };
+          return {};
+        },
+        detach: async () => {},
+      }),
+    };
+  };
+
+  const rule = (origin, selectors, declarations, matchingSelectors = [0]) => ({
+    rule: {
+      origin,
+      selectorList: { selectors: selectors.map(text => ({ text })), text: selectors.join(", ") },
+      style: { cssProperties: Object.entries(declarations).map(([name, value]) => ({ name, value })) },
+    },
+    matchingSelectors,
+  });
+
+  it("should return the matching selectors of author rules setting a compared property", async () => {
+    const page = stubPage({
+      "body > header:nth-child(1)": [
+        rule("user-agent", ["header"], { display: "block" }),
+        rule("regular", [".nav", ".site-header"], { height: "80px" }, [1]),
+        rule("regular", [".site-header"], { "text-transform": "uppercase" }),
+      ],
+    });
+
+    const result = await StyleValidator.matchedSelectors(page, [
+      { key: "body > header:nth-child(1)", properties: ["height", "display"] },
+      { key: "body > div:nth-child(9)", properties: ["color"] },
+    ]);
+
+    expect(result).toEqual({ "body > header:nth-child(1)": [".site-header"] });
+  });
+});